@@ -0,0 +1,48 @@
+/**
+ * Netlify Function : proxy DexScreener avec cache (voir netlify/lib/boardProxy.js)
+ * - GET /api/board?chain=solana&sample=120&extra=solana:ca,base:0x…
+ *   → { generatedAt, chain, boosts, pairs, profiles, meta } (réponses brutes, un seul aller-retour client)
+ * - GET /api/token?chain=solana&address=ca → toutes les paires d'un token
+ * - Paramètres validés (400) : chaîne connue (ou "all" pour le board), adresses base58 / 0x-hex (isValidToken)
+ * - Erreurs : { error (message serveur, pour les logs), code } ; le client affiche le code traduit (src/providers/http.js)
+ * - Upstream configurable via DEXSCREENER_API (mock local : npm run mock:upstream)
+ */
+import { createBoardProxy, parseTokenList, UpstreamError } from "../lib/boardProxy.js";
+import { CHAIN_IDS, isValidToken } from "../../src/providers/normalize.js";
+
+// Une instance par conteneur : le cache survit entre deux invocations "chaudes"
+const proxy = createBoardProxy({ baseUrl: process.env.DEXSCREENER_API || undefined });
+
+function json(body, status = 200, maxAge = 0) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": maxAge ? `public, max-age=${maxAge}` : "no-store",
+    },
+  });
+}
+
+export default async function handler(req) {
+  const url = new URL(req.url);
+  const chain = (url.searchParams.get("chain") || "solana").toLowerCase();
+  try {
+    if (url.pathname.endsWith("/token")) {
+      const address = url.searchParams.get("address");
+      if (!address) return json({ error: "Paramètre address manquant", code: "missingAddress" }, 400);
+      if (!isValidToken({ chainId: chain, address })) return json({ error: "Token invalide", code: "invalidToken" }, 400);
+      return json(await proxy.token({ chain, address }), 200, 15);
+    }
+    const sample = Math.max(1, +url.searchParams.get("sample") || 120);
+    if (chain !== "all" && !CHAIN_IDS.includes(chain)) return json({ error: "Chaîne inconnue", code: "invalidChain" }, 400);
+    const extra = parseTokenList(url.searchParams.get("extra"));
+    if (!extra.every(isValidToken)) return json({ error: "Token invalide dans extra", code: "invalidToken" }, 400);
+    const payload = await proxy.board({ chain, sample, extra });
+    return json(payload, 200, payload.meta.stale ? 0 : 15);
+  } catch (e) {
+    const status = e instanceof UpstreamError && e.status === 429 ? 503 : 502;
+    return json({ error: e.message || "Erreur upstream", code: e.code || "upstream" }, status);
+  }
+}
+
+export const config = { path: ["/api/board", "/api/token"] };
@@ -0,0 +1,164 @@
+/**
+ * Proxy DexScreener avec cache (utilisé par netlify/functions/board.js et le serveur local)
+ * - Cache mémoire par instance : boosts / profils (une entrée par endpoint), paires (une entrée par token)
+ *   → un refresh ne redemande à l'upstream que les tokens absents ou expirés
+ *   Borné : entrées expirées depuis plus de STALE_MAX supprimées, au plus MAX_ENTRIES (les plus anciennes sortent)
+ * - Requêtes identiques simultanées mutualisées (in-flight) : endpoints et lots de paires identiques ;
+ *   lots de paires limités en parallèle
+ * - Tokens d'un board plafonnés à MAX_SAMPLE (extra compris, prioritaires sur l'échantillon) ; segments d'URL encodés
+ * - Rate limit : sur 429, pause de l'upstream (Retry-After, 30s par défaut) ; pendant la pause et en cas
+ *   d'erreur, on sert la dernière valeur connue (stale) si elle existe
+ * - Erreurs : UpstreamError(message, status, code) ; code (rateLimit, upstream, pairsUnavailable) traduit côté client
+ * - meta : stale, partial, profiles (false si indisponibles), batches { total, failed, failedTokens } (lots de paires, tokens des lots en échec)
+ */
+import { filterChain, groupByChain, pairsForToken, sampleTokens } from "../../src/providers/normalize.js";
+
+export const TTL = { boosts: 30e3, profiles: 120e3, pairs: 30e3 };
+export const PAIRS_CHUNK = 30;
+export const MAX_PARALLEL = 3;
+export const MAX_SAMPLE = 600;
+export const STALE_MAX = 10 * 60e3;
+export const MAX_ENTRIES = 5000;
+
+export class UpstreamError extends Error {
+  constructor(message, status, code = "upstream") {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function createBoardProxy({ baseUrl = "https://api.dexscreener.com", fetchImpl = fetch, now = Date.now } = {}) {
+  const store = new Map();    // key → { value, expires }
+  const inflight = new Map(); // key → Promise
+  let pausedUntil = 0;
+  const stats = { upstream: 0, hits: 0, stale: 0, rateLimited: 0 };
+
+  async function getJSON(path) {
+    if (now() < pausedUntil) throw new UpstreamError("Upstream en pause (rate limit)", 429, "rateLimit");
+    stats.upstream += 1;
+    const r = await fetchImpl(`${baseUrl}${path}`, { headers: { accept: "application/json" } });
+    if (r.status === 429) {
+      stats.rateLimited += 1;
+      const retry = +r.headers.get("retry-after");
+      pausedUntil = now() + (retry > 0 ? retry * 1000 : 30e3);
+      throw new UpstreamError("Rate limit DexScreener", 429, "rateLimit");
+    }
+    if (!r.ok) throw new UpstreamError(`${r.status} ${r.statusText}`, r.status);
+    return r.json();
+  }
+
+  // Ordre d'insertion de la Map = ancienneté : une entrée réécrite repasse en dernier
+  function put(key, value, ttl) {
+    store.delete(key);
+    store.set(key, { value, expires: now() + ttl });
+    for (const k of store.keys()) {
+      if (store.size <= MAX_ENTRIES) break;
+      store.delete(k);
+    }
+  }
+
+  // Entrées trop vieilles pour servir de valeur périmée
+  function prune() {
+    for (const [k, entry] of store) if (entry.expires + STALE_MAX <= now()) store.delete(k);
+  }
+
+  // Un seul chargement en cours par clé
+  function shared(key, load) {
+    if (!inflight.has(key)) inflight.set(key, load().finally(() => inflight.delete(key)));
+    return inflight.get(key);
+  }
+
+  // Valeur fraîche, sinon chargement (mutualisé) ; en cas d'échec, valeur périmée si disponible
+  async function cached(key, ttl, load, meta) {
+    const entry = store.get(key);
+    if (entry && entry.expires > now()) { stats.hits += 1; return entry.value; }
+    try {
+      return await shared(key, () => load().then(value => { put(key, value, ttl); return value; }));
+    } catch (e) {
+      if (!entry) throw e;
+      stats.stale += 1;
+      if (meta) meta.stale = true;
+      return entry.value;
+    }
+  }
+
+  async function inBatches(jobs) {
+    const results = [];
+    for (let i = 0; i < jobs.length; i += MAX_PARALLEL) {
+      results.push(...await Promise.allSettled(jobs.slice(i, i + MAX_PARALLEL).map(job => job())));
+    }
+    return results;
+  }
+
+  // Paires : seuls les tokens sans entrée fraîche partent à l'upstream, par lots de 30 et par chaîne
+  async function pairsFor(tokens, meta) {
+    const key = t => `pairs:${t.chainId.toLowerCase()}:${t.address}`;
+    const missing = tokens.filter(t => !(store.get(key(t))?.expires > now()));
+    const jobs = [];
+    const chunks = [];
+    for (const [chain, addresses] of Object.entries(groupByChain(missing))) {
+      for (let i = 0; i < addresses.length; i += PAIRS_CHUNK) {
+        const chunk = addresses.slice(i, i + PAIRS_CHUNK);
+        chunks.push(chunk.map(address => ({ chainId: chain, address })));
+        jobs.push(() => shared(`chunk:${chain}:${chunk.join(",")}`, async () => {
+          const pairs = await getJSON(`/tokens/v1/${encodeURIComponent(chain)}/${chunk.map(encodeURIComponent).join(",")}`);
+          for (const address of chunk) put(key({ chainId: chain, address }), pairsForToken(pairs, chain, address), TTL.pairs);
+        }));
+      }
+    }
+    const settled = await inBatches(jobs);
+    const failedIdx = settled.map((s, i) => (s.status === "rejected" ? i : -1)).filter(i => i >= 0);
+    const failed = failedIdx.length;
+    meta.batches.total += settled.length;
+    meta.batches.failed += failed;
+    meta.batches.failedTokens.push(...failedIdx.flatMap(i => chunks[i]));
+    if (failed) meta.partial = true;
+    stats.hits += tokens.length - missing.length;
+    return tokens.flatMap(t => {
+      const entry = store.get(key(t));
+      if (entry && entry.expires <= now()) { meta.stale = true; stats.stale += 1; }
+      return entry ? entry.value : [];
+    });
+  }
+
+  // Payload complet d'un board : { boosts, pairs (toutes les paires des tokens), profiles, meta }
+  async function board({ chain = "solana", sample = 120, extra = [] } = {}) {
+    prune();
+    const meta = { stale: false, partial: false, profiles: true, batches: { total: 0, failed: 0, failedTokens: [] } };
+    const [allBoosts, allProfiles] = await Promise.all([
+      cached("boosts", TTL.boosts, () => getJSON("/token-boosts/top/v1"), meta),
+      cached("profiles", TTL.profiles, () => getJSON("/token-profiles/latest/v1"), meta).catch(() => { meta.partial = true; meta.profiles = false; return []; }),
+    ]);
+    const boosts = filterChain(allBoosts, chain);
+    const wanted = extra.slice(0, MAX_SAMPLE);
+    const tokens = sampleTokens(boosts, Math.min(MAX_SAMPLE - wanted.length, sample), wanted);
+    const pairs = await pairsFor(tokens, meta);
+    return {
+      generatedAt: new Date(now()).toISOString(),
+      chain,
+      boosts,
+      pairs,
+      profiles: filterChain(allProfiles, chain),
+      meta: { ...meta, tokens: tokens.length, pausedUntil: pausedUntil > now() ? new Date(pausedUntil).toISOString() : null },
+    };
+  }
+
+  async function token({ chain = "solana", address }) {
+    prune();
+    const meta = { stale: false, partial: false, batches: { total: 0, failed: 0, failedTokens: [] } };
+    const pairs = await pairsFor([{ chainId: chain, address }], meta);
+    if (meta.partial && !pairs.length) throw new UpstreamError("Paires indisponibles", 502, "pairsUnavailable");
+    return { generatedAt: new Date(now()).toISOString(), chain, address, pairs, meta };
+  }
+
+  return { board, token, stats };
+}
+
+// "solana:ca,base:0x…" → [{ chainId, address }]
+export function parseTokenList(str) {
+  return (str || "").split(",").map(s => s.trim()).filter(Boolean).map(s => {
+    const i = s.indexOf(":");
+    return i < 0 ? { chainId: "solana", address: s } : { chainId: s.slice(0, i).toLowerCase(), address: s.slice(i + 1) };
+  });
+}
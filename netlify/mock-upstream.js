@@ -0,0 +1,43 @@
+/**
+ * Faux DexScreener pour tester le proxy en local (node netlify/mock-upstream.js)
+ * - Sert les mêmes routes que l'API à partir d'une fixture (public/fixtures/<FIXTURE>.json, "sample" par défaut)
+ * - Chaque appel à /token-boosts/top/v1 passe à la frame suivante (comme le provider fixture)
+ * - RATE_LIMIT_EVERY=n : une requête sur n répond 429 (Retry-After: 5) pour tester la pause / le stale
+ * - Log une ligne par requête : permet de vérifier ce que le cache épargne à l'upstream
+ */
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+
+const PORT = +process.env.MOCK_PORT || 8787;
+const FIXTURE = process.env.FIXTURE || "sample";
+const RATE_LIMIT_EVERY = +process.env.RATE_LIMIT_EVERY || 0;
+
+const data = JSON.parse(await readFile(new URL(`../public/fixtures/${FIXTURE}.json`, import.meta.url), "utf8"));
+const frames = Array.isArray(data.frames) && data.frames.length ? data.frames : [data];
+let frame = 0;
+let count = 0;
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  count += 1;
+  console.log(`[mock] ${req.method} ${pathname}`);
+  if (RATE_LIMIT_EVERY && count % RATE_LIMIT_EVERY === 0) return send(res, 429, { error: "rate limited" }, { "retry-after": "5" });
+
+  if (pathname === "/token-boosts/top/v1") {
+    frame = (frame + 1) % frames.length;
+    return send(res, 200, frames[frame].boosts || []);
+  }
+  if (pathname === "/token-profiles/latest/v1") return send(res, 200, frames[frame].profiles || []);
+  const m = pathname.match(/^\/tokens\/v1\/([^/]+)\/([^/]+)$/);
+  if (m) {
+    const chain = m[1].toLowerCase();
+    const wanted = new Set(decodeURIComponent(m[2]).split(","));
+    return send(res, 200, (frames[frame].pairs || []).filter(p => (p.chainId || "").toLowerCase() === chain && wanted.has(p.baseToken?.address)));
+  }
+  send(res, 404, { error: "not found" });
+}).listen(PORT, () => console.log(`[mock] DexScreener factice sur http://localhost:${PORT} (fixture ${FIXTURE}, ${frames.length} frame(s))`));
@@ -0,0 +1,22 @@
+/**
+ * Sert la fonction board en local sans Netlify CLI (node netlify/serve-local.js)
+ * - Même handler que la Function (Request → Response), sur http://localhost:PROXY_PORT/api/*
+ * - DEXSCREENER_API=http://localhost:8787 pour viser le mock (npm run proxy:mock)
+ * - Le dev server Vite redirige /api vers ce port (vite.config.js)
+ */
+import { createServer } from "node:http";
+import handler from "./functions/board.js";
+
+const PORT = +process.env.PROXY_PORT || 8888;
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (!url.pathname.startsWith("/api/")) {
+    res.writeHead(404, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ error: "not found" }));
+  }
+  const response = await handler(new Request(url, { method: req.method, headers: req.headers }));
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(await response.text());
+  console.log(`[proxy] ${req.method} ${url.pathname}${url.search} → ${response.status}`);
+}).listen(PORT, () => console.log(`[proxy] /api sur http://localhost:${PORT} (upstream ${process.env.DEXSCREENER_API || "DexScreener"})`));
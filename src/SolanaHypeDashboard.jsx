@@ -1,148 +1,239 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import * as d3 from "d3";
+import { createProvider, fetchBoard, resolveProviderConfig } from "./providers/index.js";
+import { CHAIN_IDS } from "./providers/normalize.js";
+import { downloadFixture, snapshotFromBoard } from "./providers/fixture.js";
+import { applyRetention, loadHistory, saveSnapshot, seriesFor, snapshotFromNodes } from "./lib/history.js";
+import ScoringPanel from "./components/ScoringPanel.jsx";
+import StarButton from "./components/StarButton.jsx";
+import WatchlistPanel from "./components/WatchlistPanel.jsx";
+import { loadWatchlist, saveWatchlist, toggleIn } from "./lib/watchlist.js";
+import { LINKS, buildLinkUrl, getLink, loadOpenTarget, openLinkFor, saveOpenTarget } from "./lib/links.js";
+import { ALL_CHAINS, CHAIN_OPTIONS, chainInfo, chainLabel, explorerUrl } from "./lib/chains.js";
+import AlertsPanel from "./components/AlertsPanel.jsx";
+import AdBanner from "./components/AdBanner.jsx";
+import AdsAdmin from "./components/AdsAdmin.jsx";
+import { ADS } from "./lib/ads.js";
+import BubbleMap from "./components/BubbleMap.jsx";
+import BubbleCanvas from "./components/BubbleCanvas.jsx";
+import BubbleTable from "./components/BubbleTable.jsx";
+import { shortcutFor } from "./lib/a11y.js";
+import { pickRenderer } from "./lib/bubbles.js";
+import TreemapView from "./components/views/TreemapView.jsx";
+import ScatterView from "./components/views/ScatterView.jsx";
+import TableView from "./components/views/TableView.jsx";
+import PresetsPanel from "./components/PresetsPanel.jsx";
+import TokenDetail from "./components/TokenDetail.jsx";
+import ChainBadge from "./components/ChainBadge.jsx";
+import TrendRow from "./components/TrendRow.jsx";
+import CopyIcon from "./components/CopyIcon.jsx";
+import RiskBadge from "./components/RiskBadge.jsx";
+import { computeRisk, isRisky } from "./lib/risk.js";
+import FilterPanel from "./components/FilterPanel.jsx";
+import ExportMenu from "./components/ExportMenu.jsx";
+import { captionFor, nodesToCSV } from "./lib/exportBoard.js";
+import RefreshControl from "./components/RefreshControl.jsx";
+import FeedStatus from "./components/FeedStatus.jsx";
+import { keepStalePairs } from "./lib/feedStatus.js";
+import { MAX_BACKOFF_S, backoffDelay, createRefreshScheduler, isAbort, loadRefreshInterval, saveRefreshInterval } from "./lib/refresh.js";
+import { compileQuery, parseQuery, setList, setRange } from "./lib/query.js";
+import { VIEW_DEFAULTS, decodeToken, decodeView, loadPresets, savePresets, upsertPreset, writeTokenToUrl, writeViewToUrl } from "./lib/viewState.js";
+import { ALERT_LOG_MAX, beep, evaluateRules, loadAlertLog, loadRules, notify, saveAlertLog, saveRules } from "./lib/alerts.js";
+import { DEFAULT_PROFILE, FACTORS, NORMALIZERS, allProfiles, completeProfile, loadUserProfiles, profileLabel, saveUserProfiles, scoreRows } from "./lib/scoring.js";
+import { LOCALES, detectLocale, fmtPct, fmtUsd, setLocale, t } from "./lib/i18n.js";
+import { changeScale, fillScale, loadThemePrefs, setThemePrefs } from "./lib/theme.js";
+import ThemePanel from "./components/ThemePanel.jsx";
+import PortfolioPanel from "./components/PortfolioPanel.jsx";
+import { addPosition, loadPortfolio, mergePositions, removePosition, savePortfolio, valuePosition } from "./lib/portfolio.js";
+import CompareTray from "./components/CompareTray.jsx";
+import ComparePanel from "./components/ComparePanel.jsx";
+import { rankWithin, toggleCompare } from "./lib/compare.js";
+import { GROUP_MAX, GROUP_MODES, groupNodes } from "./lib/grouping.js";
 
 /**
  * Trench Board — Dashboard (React + D3)
- * - Bandeau pub 1 slot (texte centré), rotation ~8s, fade doux
- * - Bubble map (collision, dérive légère) + Top par hype (MC sous Chg)
- * - Pop-up: CA + Copy CA en bas à gauche, et boutons Dexscreener/Photon/Axiom/Trojan à droite (une seule ligne)
- * - Top par hype: clic ouvre Photon (ref @trenchboard, format /en/r/@ref/<CA>)
- * - Auto-refresh: 60s
+ * - Bandeau pub 1 slot : campagnes src/config/ads.json (poids, dates, ciblage), stats locales (?admin)
+ * - Bubble map (collision, dérive légère, simulation persistante + transitions entre refresh) + Top par hype (MC sous Chg)
+ * - Bubble map en canvas au-delà de 150 tokens (hit-testing, logos en cache) : voir src/lib/bubbles.js
+ * - Bubble map groupable (DEX, tranche de MC, âge de la paire, sens de la variation) : une grappe libellée par groupe, volume cumulé
+ * - Autres vues des mêmes nœuds : treemap, nuage liquidité × variation, tableau triable
+ * - Pop-up: CA + Copy CA en bas à gauche, et liens du registre (src/config/links.json) à droite (une seule ligne)
+ * - Signaux de risque (paire récente, liquidité vs MC, ventes, pas de profil, pump sans volume) : badges + filtre "Masquer risqués"
+ * - Recherche = requête (mc<5m liq>50k chg1h>20 dex:raydium…) + panneau Filtres qui l'édite : voir src/lib/query.js
+ * - Export : nœuds affichés en CSV / JSON, bubble map en SVG / PNG (logos embarqués, légende date + réglages)
+ * - Vue détail (pop-up) : toutes les paires, timeframes, liens du profil, prix 24h ; lien direct ?ca=<chaîne>:<adresse>
+ * - Top par hype: clic ouvre la cible "Ouvrir dans" choisie (Photon par défaut, ref @trenchboard)
+ * - Chargement résilient : retries (429 / 5xx), état par endpoint, données précédentes gardées (périmées) en cas d'échec
+ * - Auto-refresh : intervalle au choix (60s par défaut), pause, compte à rebours, suspendu onglet masqué, backoff sur erreur
  * - Tooltips désactivés sur mobile (seule la pop-up s'ouvre)
  * - Boutons Reset (Paramètres + Poids du score "hype")
+ * - Score "hype" configurable (facteurs, normalisations, profils de poids) : voir src/lib/scoring.js
+ * - Historique local (IndexedDB) : sparklines hype/prix/volume dans le Top et la pop-up
+ * - Watchlist (★) : tokens toujours chargés, hors filtres, halo doré sur la bubble map
+ * - Alertes : règles évaluées après chaque refresh → notification / son + journal
+ * - Vue partageable : paramètres, score et zoom dans l'URL ; presets nommés (import/export JSON)
+ * - Multi-chaînes : Solana par défaut, Base/Ethereum/BSC/… ou toutes ; badge de chaîne sur chaque bubble
+ * - Données via un provider (DexScreener en direct, proxy /api avec cache en prod, ou fixture/replay hors-ligne) : voir src/providers
+ * - Interface fr / en (sélecteur dans le header, ?lang=) : libellés, aria-labels, erreurs et formats de nombres via src/lib/i18n.js
+ * - Portefeuille fictif : positions saisies depuis la pop-up ou une carte, PnL latent au prix du dernier refresh, import / export JSON
+ * - Comparaison : Maj+clic sur les bulles ou case « Comparer » des cartes, puis métriques, timeframes, facteurs du score et rangs côte à côte
+ * - Thèmes sombre / clair / contraste élevé, palettes de variation adaptées aux daltoniens, remplissage des bulles par 2e métrique
+ * - Accessibilité : bulles navigables au clavier, tableau miroir pour lecteurs d'écran, pop-up modale, raccourcis (zoom, refresh, timeframe)
  */
 
-// URL helpers
-function buildAxiomUrl(ca, username = "trenchapp") {
-  return `https://axiom.trade/t/${ca}/@${username}`;
-}
-function buildTrojanUrl(ca, ref = "trenchor_suppor") {
-  return `https://t.me/solana_trojanbot?start=r-${ref}-${ca}`;
-}
-// PHOTON referral (ouvre la chart du token): /en/r/@trenchboard/<CA>
-function buildPhotonUrl(ca, refHandle = "trenchboard") {
-  return `https://photon-sol.tinyastro.io/en/r/@${refHandle}/${ca}`;
-}
-
 export default function App() {
   // ------------------ UI State ------------------
-  const [timeframe, setTimeframe] = useState("h1"); // m5|h1|h6|h24
-  const [minLiq, setMinLiq] = useState(10000);
-  const [limit, setLimit] = useState(20); // défaut 20
-  const [weights, setWeights] = useState({ price: 0.5, volume: 0.3, txns: 0.1, boost: 0.1 });
-  const [query, setQuery] = useState("");
-  const [loading, setLoading] = useState(false);
+  const [locale, setLocaleState] = useState(() => setLocale(detectLocale(), { persist: false })); // avant tout t()
+  const [themePrefs, setThemePrefsState] = useState(() => setThemePrefs(loadThemePrefs(), { persist: false })); // { theme, palette, range, fill }
+  const [initialView] = useState(() => decodeView(window.location.search)); // vue partagée par lien
+  const [viz, setViz] = useState(initialView.viz); // bubble|treemap|scatter|table
+  const [chain, setChain] = useState(initialView.chain); // id DexScreener ou "all"
+  const [timeframe, setTimeframe] = useState(initialView.timeframe); // m5|h1|h6|h24
+  const [minLiq, setMinLiq] = useState(initialView.minLiq);
+  const [hideRisky, setHideRisky] = useState(initialView.hideRisky);
+  const [limit, setLimit] = useState(initialView.limit); // défaut 20
+  const [profileName, setProfileName] = useState(initialView.profile);
+  const [userProfiles, setUserProfiles] = useState(() => loadUserProfiles());
+  const [weights, setWeights] = useState(initialView.weights);
+  const [norms, setNorms] = useState(initialView.norms);
+  const [query, setQuery] = useState(initialView.query);
+  const [zoom, setZoom] = useState(initialView.zoom); // { k, x, y } (fin de geste seulement)
+  const [groupBy, setGroupBy] = useState(initialView.groupBy); // none|dex|mc|age|sign (bubble map)
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [openTarget, setOpenTarget] = useState(() => loadOpenTarget()); // id du registre de liens
+  const [showAdsAdmin] = useState(() => new URLSearchParams(window.location.search).has("admin"));
+  const [refresh, setRefresh] = useState({ interval: loadRefreshInterval(), paused: false, hidden: false, loading: false, failures: 0, nextAt: null });
   const [error, setError] = useState("");
+  const [feed, setFeed] = useState({ status: null, kept: 0, lastGoodAt: null }); // dernier load réussi (complet ou partiel)
   const [copiedId, setCopiedId] = useState(null);
-  const [selected, setSelected] = useState(null);
+  const [selected, setSelected] = useState(() => decodeToken(window.location.search)); // { id, chainId } (nœud ou ?ca=)
+  const [watchlist, setWatchlist] = useState(() => loadWatchlist());
+  const watchlistRef = useRef(watchlist); // lu par load() (refresh planifié avant un ajout)
+  const watchedIds = useMemo(() => watchlist.map(e => e.ca), [watchlist]);
+  const [positions, setPositions] = useState(() => loadPortfolio());
+  const positionsRef = useRef(positions); // lu par load(), comme la watchlist
+  const heldIds = useMemo(() => [...new Set(positions.map(p => p.ca))], [positions]);
+  const [positionDraft, setPositionDraft] = useState(null); // saisie ouverte depuis une carte du Top
+  const [compareIds, setCompareIds] = useState([]); // sélection multiple (Maj+clic, cases des cartes)
+  const [showCompare, setShowCompare] = useState(false);
+  const [alertRules, setAlertRules] = useState(() => loadRules());
+  const [alertLog, setAlertLog] = useState(() => loadAlertLog());
 
   // ------------------ Data ------------------
   const [rawBoosts, setRawBoosts] = useState([]);   // DexScreener boosts
   const [tokenPairs, setTokenPairs] = useState({}); // { baseTokenAddress: bestPair }
   const [profiles, setProfiles] = useState({});     // token profiles (logos)
+  const [history, setHistory] = useState([]);       // snapshots des refresh précédents (IndexedDB)
 
   // ------------------ Refs (D3) ------------------
-  const svgRef = useRef(null);
+  const chartRef = useRef(null); // conteneur des vues (mesure de la largeur)
   const zoomRef = useRef(null);
-  const isTouchRef = useRef(false);
+  const zoomTransformRef = useRef(d3.zoomIdentity.translate(initialView.zoom.x, initialView.zoom.y).scale(initialView.zoom.k));
 
-  useEffect(() => {
-    // Détecte mobile/tactile pour désactiver le tooltip
-    isTouchRef.current =
-      typeof window !== "undefined" &&
-      ("ontouchstart" in window ||
-        navigator.maxTouchPoints > 0 ||
-        navigator.msMaxTouchPoints > 0);
-  }, []);
+  // ------------------ Provider de données ------------------
+  const providerConfig = useMemo(() => resolveProviderConfig(), []);
+  const provider = useMemo(() => createProvider(providerConfig), [providerConfig]);
+  const pendingSnapshotRef = useRef(false); // un load() vient d'aboutir : snapshot à enregistrer
+  const pendingAlertsRef = useRef(false);   // idem : règles d'alerte à évaluer
+  const alertStateRef = useRef({});         // tokens qui matchaient chaque règle au refresh précédent
 
-  // ------------------ Fetch helpers ------------------
-  async function getJSON(url, init) {
-    const r = await fetch(url, init);
-    if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
-    return r.json();
-  }
-
-  async function fetchBoosts() {
-    const data = await getJSON("https://api.dexscreener.com/token-boosts/top/v1");
-    return data?.filter?.(d => d.chainId?.toLowerCase?.() === "solana") ?? [];
-  }
-
-  async function fetchPairs(addresses) {
-    const chunkSize = 30;
-    const batches = [];
-    for (let i = 0; i < addresses.length; i += chunkSize) {
-      const chunk = addresses.slice(i, i + chunkSize).join(",");
-      batches.push(getJSON(`https://api.dexscreener.com/tokens/v1/solana/${chunk}`));
-    }
-    const settled = await Promise.allSettled(batches);
-    const pairs = settled.flatMap(s => (s.status === "fulfilled" ? s.value : []));
-    const map = {};
-    for (const p of pairs) {
-      const base = p.baseToken?.address;
-      if (!base) continue;
-      const liq = +((p.liquidity || {}).usd || 0);
-      const prev = map[base]?.liquidity?.usd || 0;
-      if (!map[base] || liq > prev) map[base] = p;
-    }
-    return map;
-  }
-
-  async function fetchProfiles() {
-    const arr = await getJSON("https://api.dexscreener.com/token-profiles/latest/v1");
-    const map = {};
-    for (const p of arr || []) {
-      if (p.chainId?.toLowerCase?.() !== "solana") continue;
-      map[p.tokenAddress] = p;
-    }
-    return map;
-  }
+  useEffect(() => {
+    let alive = true;
+    loadHistory(provider.label).then(h => { if (alive) setHistory(h); });
+    return () => { alive = false; };
+  }, [provider]);
 
   // ------------------ Chargement principal ------------------
-  async function load() {
-    setLoading(true); setError("");
+  // Appelé par le planificateur (signal : annulé si un autre refresh démarre) ; rejette en cas d'échec (backoff)
+  // Échec total : les données précédentes restent affichées (périmées) ; échec partiel : paires / profils précédents repris
+  async function load(signal) {
     try {
-      const boosts = await fetchBoosts();
-      const SAMPLE = Math.max(limit * 5, 120);
-      const addrList = Array.from(new Set(boosts.map(b => b.tokenAddress))).slice(0, SAMPLE);
-      const pairsMap = await fetchPairs(addrList);
-      const profMap  = await fetchProfiles();
+      const extra = [...watchlistRef.current, ...positionsRef.current]
+        .filter((e, i, all) => all.findIndex(x => x.ca === e.ca) === i)
+        .map(e => ({ chainId: e.chainId, address: e.ca }));
+      const { boosts, pairs: pairsMap, profiles: profMap, status } = await fetchBoard(provider, { chain, sample: Math.max(limit * 5, 120), extra, signal });
+      signal?.throwIfAborted();
+      const wanted = [...boosts.map(b => b.tokenAddress), ...extra.map(e => e.address)];
+      const { pairs, kept } = status.pairs.failed ? keepStalePairs(tokenPairs, pairsMap, status.pairs.failedTokens, wanted) : { pairs: pairsMap, kept: 0 };
       setRawBoosts(boosts);
-      setTokenPairs(pairsMap);
-      setProfiles(profMap);
+      setTokenPairs(pairs);
+      if (profMap) setProfiles(profMap);
+      setError("");
+      setFeed({ status, kept, lastGoodAt: Date.now() });
+      pendingSnapshotRef.current = true;
+      pendingAlertsRef.current = true;
     } catch (e) {
+      if (isAbort(e)) throw e;
       console.error(e);
-      setError(e.message || "Erreur inattendue");
-    } finally {
-      setLoading(false);
+      setError(e.message || t("errors.unexpected"));
+      throw e;
     }
   }
 
-  useEffect(() => { load(); }, [limit]);
+  // ------------------ Auto-refresh ------------------
+  // Un seul planificateur ; il appelle toujours le dernier load() (chain / limit à jour)
+  const loadRef = useRef(load);
+  loadRef.current = load;
+  const schedulerRef = useRef(null);
 
-  // Auto-refresh bubble map every 60s (recrée l'intervalle si filtres changent)
   useEffect(() => {
-    const id = setInterval(() => { load(); }, 60000);
-    return () => clearInterval(id);
-  }, [limit, timeframe, minLiq, weights, query]);
+    const scheduler = createRefreshScheduler({
+      run: (signal) => loadRef.current(signal),
+      interval: refresh.interval,
+      onChange: setRefresh,
+    });
+    schedulerRef.current = scheduler;
+    scheduler.start();
+    return () => scheduler.stop();
+  }, [provider]);
+
+  // Seuls chaîne et nombre de tokens demandent un refetch ; les autres filtres se recalculent localement
+  useEffect(() => { schedulerRef.current.refresh(); }, [limit, chain, provider]);
+
+  function changeLocale(l) {
+    setLocaleState(setLocale(l));
+  }
+
+  function changeThemePrefs(p) {
+    setThemePrefsState(setThemePrefs(p));
+  }
+
+  function changeRefreshInterval(s) {
+    saveRefreshInterval(s);
+    schedulerRef.current.changeInterval(s);
+  }
+
+  function toggleWatch(ca, chainId){
+    const next = toggleIn(watchlist, ca, chainId);
+    watchlistRef.current = next;
+    setWatchlist(next);
+    saveWatchlist(next);
+  }
 
   // ------------------ Helpers ------------------
   const pick = (obj, key, fallback = 0) => (obj && obj[key] != null ? (+obj[key] || 0) : fallback);
 
+  // ------------------ Recherche / filtres (src/lib/query.js) ------------------
+  const parsedQuery = useMemo(() => parseQuery(query), [query, locale]);
+  const dexes = useMemo(() => {
+    const counts = d3.rollup(Object.values(tokenPairs).filter(p => chain === ALL_CHAINS || (p.chainId || "").toLowerCase() === chain), v => v.length, p => (p.dexId || "").toLowerCase());
+    return [...counts].filter(([id]) => id).sort((a, b) => b[1] - a[1]);
+  }, [tokenPairs, chain]);
+
   // ------------------ Nœuds (bubbles) ------------------
   const nodes = useMemo(() => {
-    const list = Object.values(tokenPairs)
-      .filter(p => (p.chainId || "").toLowerCase() === "solana" && +((p.liquidity||{}).usd || 0) >= minLiq);
-
-    const vols = list.map(p => pick(p.volume, timeframe === "m5" ? "m5" : timeframe, 0));
-    const txns = list.map(p => (p.txns?.[timeframe]?.buys || 0) + (p.txns?.[timeframe]?.sells || 0));
-    const volScale = d3.scaleLinear().domain([d3.min(vols) || 0, d3.max(vols) || 1]).range([0, 1]).clamp(true);
-    const txnScale = d3.scaleLinear().domain([d3.min(txns) || 0, d3.max(txns) || 1]).range([0, 1]).clamp(true);
+    const watched = new Set(watchedIds);
+    const held = new Set(heldIds);
+    const list = Object.values(tokenPairs).filter(p => {
+      if (watched.has(p.baseToken?.address) || held.has(p.baseToken?.address)) return true;
+      const onChain = chain === ALL_CHAINS || (p.chainId || "").toLowerCase() === chain;
+      return onChain && +((p.liquidity||{}).usd || 0) >= minLiq;
+    });
 
     const boostMap = new Map(rawBoosts.map(b => [b.tokenAddress, (b.totalAmount ?? b.amount ?? b.score ?? 0)]));
-    const boostVals = list.map(p => boostMap.get(p.baseToken?.address) || 0);
-    const boostScale = d3.scaleLinear().domain([d3.min(boostVals) || 0, d3.max(boostVals) || 1]).range([0, 1]).clamp(true);
+    const scores = scoreRows(list.map(p => ({ pair: p, boost: boostMap.get(p.baseToken?.address) || 0 })), { weights, norms }, { timeframe });
 
-    const out = list.map(p => {
+    const out = list.map((p, i) => {
       const addr  = p.baseToken?.address;
       const vol   = pick(p.volume, timeframe === "m5" ? "m5" : timeframe, 0);
       const txn   = (p.txns?.[timeframe]?.buys || 0) + (p.txns?.[timeframe]?.sells || 0);
@@ -150,12 +241,7 @@ export default function App() {
       const priceChg = pick(p.priceChange, timeframe, 0);
       const priceChgH1 = pick(p.priceChange, "h1", 0);
       const boost = boostMap.get(addr) || 0;
-
-      const nPrice = d3.scaleLinear().domain([-50, 50]).range([0, 1]).clamp(true)(priceChg);
-      const nVol   = volScale(vol);
-      const nTxn   = txnScale(txn);
-      const nBoost = boostScale(boost);
-      const hype   = nPrice * weights.price + nVol * weights.volume + nTxn * weights.txns + nBoost * weights.boost;
+      const { hype, factors } = scores[i];
 
       const icon   = profiles[addr]?.icon || p.info?.imageUrl || "";
       const name   = p.baseToken?.name   || "?";
@@ -165,20 +251,103 @@ export default function App() {
       const priceUsd  = +(p.priceUsd || 0);
       const mc        = +(p.fdv ?? p.marketCap ?? 0);
 
-      return { id: addr, name, symbol, url, icon, hype, priceChg, priceChgH1, vol, txn, txnH1, boost, liquidity, priceUsd, mc };
+      const chainId = (p.chainId || "").toLowerCase();
+      const dexId = (p.dexId || "").toLowerCase();
+      const createdAt = p.pairCreatedAt || null;
+      const risk = computeRisk(p, profiles[addr]);
+
+      return { id: addr, chainId, dexId, createdAt, watched: watched.has(addr), held: held.has(addr), name, symbol, url, icon, hype, factors, priceChg, priceChgH1, vol, txn, txnH1, boost, liquidity, priceUsd, mc, risk };
+    });
+
+    const match = compileQuery(parsedQuery, timeframe);
+    const filtered = out.filter((n, i) => n.watched || n.held || (match(n, list[i]) && (!hideRisky || !isRisky(n.risk))));
+
+    // Les tokens épinglés (watchlist, portefeuille) restent même au-delà de la limite
+    return filtered.sort((a, b) => b.hype - a.hype).filter((n, i) => i < limit || n.watched || n.held);
+  }, [tokenPairs, profiles, rawBoosts, chain, timeframe, weights, norms, minLiq, hideRisky, parsedQuery, limit, watchedIds, heldIds, locale]);
+
+  // ------------------ Portefeuille : valorisation au priceUsd du dernier load() ------------------
+  const portfolioRows = useMemo(() => {
+    const rank = new Map(nodes.map((n, i) => [n.id, i + 1]));
+    return positions.map(p => valuePosition(p, +(tokenPairs[p.ca]?.priceUsd || 0) || null, rank.get(p.ca) ?? null));
+  }, [positions, tokenPairs, nodes]);
+
+  function updatePositions(next){
+    positionsRef.current = next;
+    setPositions(next);
+    savePortfolio(next);
+    if (next.some(p => !tokenPairs[p.ca] && !positions.some(x => x.ca === p.ca))) schedulerRef.current.refresh(); // nouveau token pas encore chargé
+  }
+  function addPositionFor(position){
+    const next = addPosition(positions, position);
+    if (!next) return;
+    updatePositions(next);
+    setPositionDraft(null);
+  }
+  const draftFor = (n) => ({ ca: n.id, chainId: n.chainId, symbol: n.symbol, entryPrice: n.priceUsd });
+
+  // ------------------ Comparaison (tokens sélectionnés encore sur le board) ------------------
+  const compareTokens = useMemo(() => {
+    const rank = new Map(nodes.map((n, i) => [n.id, i + 1]));
+    return compareIds.filter(id => rank.has(id)).map(id => ({ node: nodes[rank.get(id) - 1], pair: tokenPairs[id], rank: rank.get(id) }));
+  }, [compareIds, nodes, tokenPairs]);
+  const comparedNodes = useMemo(() => compareTokens.map(x => x.node), [compareTokens]);
+  const toggleCompareFor = (n) => setCompareIds(ids => toggleCompare(ids, n.id));
+  useEffect(() => { if (compareTokens.length === 0) setShowCompare(false); }, [compareTokens.length]);
+
+  // ------------------ Historique (1 snapshot par refresh) ------------------
+  useEffect(() => {
+    if (!pendingSnapshotRef.current || !nodes.length) return;
+    pendingSnapshotRef.current = false;
+    const snap = snapshotFromNodes(nodes, { source: provider.label, timeframe });
+    saveSnapshot(snap);
+    setHistory(h => applyRetention([...h, snap]));
+  }, [nodes]);
+
+  // ------------------ Alertes (après chaque refresh) ------------------
+  useEffect(() => {
+    if (!pendingAlertsRef.current || !nodes.length) return;
+    pendingAlertsRef.current = false;
+    const { events, state } = evaluateRules(alertRules, nodes, alertStateRef.current, { watchlist: watchedIds });
+    alertStateRef.current = state;
+    if (!events.length) return;
+    const rulesById = new Map(alertRules.map(r => [r.id, r]));
+    events.forEach(ev => { if (rulesById.get(ev.ruleId)?.notify) notify(ev); });
+    if (events.some(ev => rulesById.get(ev.ruleId)?.sound)) beep();
+    setAlertLog(log => {
+      const next = [...events.reverse(), ...log].slice(0, ALERT_LOG_MAX);
+      saveAlertLog(next);
+      return next;
     });
+  }, [nodes]);
 
-    const q = query.trim().toLowerCase();
-    const filtered = q ? out.filter(n => n.symbol?.toLowerCase().includes(q) || n.name?.toLowerCase().includes(q)) : out;
+  function updateAlertRules(rules){
+    setAlertRules(rules);
+    saveRules(rules);
+  }
+  function clearAlertLog(){
+    setAlertLog([]);
+    saveAlertLog([]);
+  }
+  function selectToken(ca){
+    const n = nodes.find(x => x.id === ca);
+    if (n) setSelected(n);
+  }
 
-    return filtered.sort((a, b) => b.hype - a.hype).slice(0, limit);
-  }, [tokenPairs, profiles, rawBoosts, timeframe, weights, minLiq, query, limit]);
+  const selectedNode = selected ? nodes.find(n => n.id === selected.id) || null : null;
+  useEffect(() => { writeTokenToUrl(selected); }, [selected?.id, selected?.chainId]);
+
+  const trend = (addr) => ({
+    hype:  seriesFor(history, addr, "h", timeframe),
+    price: seriesFor(history, addr, "p"),
+    vol:   seriesFor(history, addr, "v", timeframe),
+  });
 
   // ------------------ Layout + Zoom/Pan (D3) ------------------
   const [dims, setDims] = useState({ w: 1200, h: 700 });
   useEffect(() => {
     const onResize = () => {
-      const el = svgRef.current?.parentElement;
+      const el = chartRef.current;
       if (!el) return;
       setDims({ w: el.clientWidth - 2, h: Math.max(420, Math.floor(el.clientWidth * 0.5)) });
     };
@@ -187,207 +356,132 @@ export default function App() {
     return () => window.removeEventListener("resize", onResize);
   }, []);
 
-  const color = d3.scaleLinear().domain([-20, 0, 20]).range(["#cc2442", "#8a97b2", "#14F195"]).clamp(true);
+  // Variation de prix → couleur (palette et saturation du panneau Affichage) ; 2e métrique éventuelle pour le fond des bulles
+  const color = useMemo(() => changeScale(themePrefs), [themePrefs]);
+  const fill = useMemo(() => fillScale(themePrefs.fill, nodes), [themePrefs, nodes]);
+  const groups = useMemo(() => groupNodes(groupBy, nodes), [groupBy, nodes, locale]); // null = pas de regroupement
 
-  useEffect(() => {
-    const svg = d3.select(svgRef.current);
-    svg.selectAll("*").remove();
-    const { w, h } = dims;
-
-    const maxR = Math.min(90, Math.max(24, Math.min(w, h) / 9));
-    const minR = nodes.length > 150 ? 5 : nodes.length > 100 ? 7 : nodes.length > 60 ? 9 : 12;
-    const r = d3.scaleSqrt()
-      .domain([0, d3.max(nodes.map(n => n.hype)) || 1])
-      .range([minR, maxR]);
-
-    const defs = svg.append("defs");
-    const gradBG = defs.append("radialGradient").attr("id", "bg").attr("cx", "50%").attr("cy", "0%");
-    gradBG.append("stop").attr("offset", "0%").attr("stop-color", "#9945FF").attr("stop-opacity", 0.18);
-    gradBG.append("stop").attr("offset", "100%").attr("stop-color", "#00FFA3").attr("stop-opacity", 0.06);
-
-    svg.append("rect").attr("x",0).attr("y",0).attr("width",w).attr("height",h).attr("fill","url(#bg)").attr("rx",12);
-
-    const g = svg.append("g");
-
-    // Tooltip (désactivé sur mobile)
-    const tooltip = d3.select("body").append("div")
-      .attr("class", "pointer-events-none fixed z-50 p-3 rounded-xl text-sm bg-[#0f1117]/90 border border-white/10 shadow-xl hidden text-white");
-
-    function showTooltip(event, d) {
-      if (isTouchRef.current) return; // mobile: pas de tooltip, seulement pop-up
-      tooltip.html(
-        `<div class='font-semibold mb-1'>${d.symbol} · <span class='text-white/70'>${d.name}</span></div>
-         <div class='grid grid-cols-2 gap-x-6 gap-y-1 text-white/80'>
-           <div>MC</div><div class='text-right'>${d.mc ? '$' + d3.format(",.0f")(d.mc) : '—'}</div>
-           <div>Chg 1h</div><div class='text-right' style='color:${color(d.priceChgH1)}'>${(isFinite(d.priceChgH1)?d.priceChgH1.toFixed(2):0)}%</div>
-           <div>Prix</div><div class='text-right'>$${d.priceUsd.toFixed(6)}</div>
-           <div>Vol ${timeframe}</div><div class='text-right'>$${d3.format(",.0f")(d.vol)}</div>
-           <div>Txns ${timeframe}</div><div class='text-right'>${d.txn}</div>
-           <div>Boost</div><div class='text-right'>${d.boost || 0}</div>
-           <div>Liquidité</div><div class='text-right'>$${d3.format(",.0f")(d.liquidity)}</div>
-         </div>`
-      )
-      .style("left", `${event.pageX + 16}px`)
-      .style("top",  `${event.pageY + 16}px`)
-      .classed("hidden", false);
-    }
-    function hideTooltip(){ tooltip.classed("hidden", true); }
 
-    const zoomBehavior = d3.zoom().scaleExtent([0.5, 6]).on("zoom", (ev) => {
-      g.attr("transform", ev.transform);
-    });
-    svg.call(zoomBehavior);
-    zoomRef.current = { svg, zoomBehavior };
-
-    const sim = d3.forceSimulation(nodes)
-      .velocityDecay(0.35)
-      .force("charge", d3.forceManyBody().strength(1.5))
-      .force("collide", d3.forceCollide().radius(d => r(d.hype) + 1.5).iterations(2))
-      .force("x", d3.forceX(w / 2).strength(0.03))
-      .force("y", d3.forceY(h / 2).strength(0.03))
-      .alpha(0.7).alphaDecay(0.015)
-      .alphaTarget(0.02);
-
-    // Légère dérive du centre pour un mouvement continu
-    const drift = d3.timer((elapsed) => {
-      const t = elapsed / 1000;
-      const cx = w / 2 + Math.sin(t * 0.20) * 12;
-      const cy = h / 2 + Math.cos(t * 0.17) * 12;
-      sim.force("x", d3.forceX(cx).strength(0.03));
-      sim.force("y", d3.forceY(cy).strength(0.03));
-    });
-
-    const node = g.selectAll("g.node").data(nodes, d => d.id).join(enter => {
-      const wrap = enter.append("g").attr("class", "node cursor-pointer").call(drag(sim));
-
-      wrap.append("circle")
-        .attr("r", d => r(d.hype))
-        .attr("fill", d => `url(#grad-${d.id})`)
-        .attr("stroke", "#0d1626").attr("stroke-width", 1.5)
-        .on("mousemove", (e, d) => showTooltip(e, d))
-        .on("mouseout", hideTooltip)
-        .on("click", (_, d) => setSelected(d));
-
-      wrap.each(function(d){
-        const gid = `grad-${d.id}`;
-        if (!document.getElementById(gid)) {
-          const g1 = defs.append("radialGradient").attr("id", gid);
-          g1.append("stop").attr("offset","0%").attr("stop-color","#14F195").attr("stop-opacity",0.9);
-          g1.append("stop").attr("offset","100%").attr("stop-color","#9945FF").attr("stop-opacity",0.6);
-        }
-      });
-
-      // Pastille logo (si image)
-      wrap.each(function(d){
-        if(!d.icon) return;
-        const R = r(d.hype);
-        const size = Math.max(16, Math.min(28, R * 0.42));
-        const y = -(R - (size/2 + 6));
-        const clipId = `clip-${d.id}`;
-        if (!document.getElementById(clipId)) {
-          const cp = defs.append("clipPath").attr("id", clipId).attr("clipPathUnits","objectBoundingBox");
-          cp.append("circle").attr("cx", 0.5).attr("cy", 0.5).attr("r", 0.5);
-        }
-        d3.select(this).append("circle")
-          .attr("cx", 0).attr("cy", y).attr("r", size/2 + 2)
-          .attr("fill", "#0b0f14").attr("stroke", "#14F195").attr("stroke-width", 1);
-        d3.select(this).append("image")
-          .attr("href", d.icon)
-          .attr("xlink:href", d.icon)
-          .attr("x", -size/2).attr("y", y - size/2)
-          .attr("width", size).attr("height", size)
-          .attr("clip-path", `url(#${clipId})`);
-      });
-
-      // Symbole
-      wrap.append("text")
-        .attr("text-anchor", "middle")
-        .attr("y", 6)
-        .attr("class", "select-none pointer-events-none font-semibold")
-        .style("font-size", d => `${Math.max(10, Math.min(16, r(d.hype) / 2.6))}px`)
-        .text(d => d.symbol);
-
-      // %
-      wrap.append("text")
-        .attr("text-anchor", "middle")
-        .attr("y", d => Math.min(r(d.hype) * 0.6, r(d.hype) - 6))
-        .attr("class", "select-none pointer-events-none")
-        .style("font-weight", 700)
-        .style("font-size", d => `${Math.max(9, r(d.hype) / 3.2)}px`)
-        .style("fill", d => color(d.priceChg))
-        .text(d => `${(isFinite(d.priceChg) ? d.priceChg.toFixed(2) : 0)}%`);
-
-      return wrap;
-    });
-
-    sim.on("tick", () => {
-      node.attr("transform", d => `translate(${d.x || w/2},${d.y || h/2})`);
-    });
-
-    function drag(sim){
-      function dragstarted(event) {
-        if (!event.active) sim.alphaTarget(0.2).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
-      }
-      function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
-      }
-      function dragended(event) {
-        if (!event.active) sim.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
-      }
-      return d3.drag().on("start", dragstarted).on("drag", dragged).on("end", dragended);
-    }
-
-    return () => { sim.stop(); drift.stop(); hideTooltip(); };
-  }, [nodes, dims, timeframe]);
+  // Rendu canvas au-delà de CANVAS_THRESHOLD bulles (ou ?renderer=svg|canvas)
+  const renderer = pickRenderer(nodes.length);
+  const Bubble = renderer === "canvas" ? BubbleCanvas : BubbleMap;
 
   // ------------------ Zoom buttons ------------------
+  function onZoomEnd({ k, x, y }){
+    setZoom(z => (z.k === k && z.x === x && z.y === y ? z : { k, x, y }));
+  }
   const zoomIn = () => { const z = zoomRef.current; if (z) z.svg.transition().duration(200).call(z.zoomBehavior.scaleBy, 1.25); };
   const zoomOut = () => { const z = zoomRef.current; if (z) z.svg.transition().duration(200).call(z.zoomBehavior.scaleBy, 0.8); };
   const resetZoom = () => { const z = zoomRef.current; if (z) z.svg.transition().duration(200).call(z.zoomBehavior.transform, d3.zoomIdentity); };
 
+  // ------------------ Raccourcis clavier (inactifs pendant une saisie ou avec une pop-up ouverte) ------------------
+  useEffect(() => {
+    if (selected || showCompare) return;
+    function onKey(e) {
+      const shortcut = shortcutFor(e);
+      if (!shortcut) return;
+      e.preventDefault();
+      if (shortcut.action === "zoomIn") zoomIn();
+      else if (shortcut.action === "zoomOut") zoomOut();
+      else if (shortcut.action === "zoomReset") resetZoom();
+      else if (shortcut.action === "refresh") schedulerRef.current.refresh();
+      else if (shortcut.action === "timeframe") setTimeframe(shortcut.value);
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [selected, showCompare]);
+
   // ------------------ Helpers UI ------------------
   const short = (a) => (a ? `${a.slice(0,4)}…${a.slice(-4)}` : "");
-  function handleCopy(id){
+  // Clic sur une carte du Top : cible "Ouvrir dans" (ou 1er lien de trading de la chaîne)
+  const openUrl = (n) => buildLinkUrl(openLinkFor(n.chainId, openTarget), n.id, n.chainId);
+  function changeOpenTarget(id){
+    setOpenTarget(id);
+    saveOpenTarget(id);
+  }
+  function handleCopy(text, key = text){
     try {
-      navigator.clipboard.writeText(id);
-      setCopiedId(id);
+      navigator.clipboard.writeText(text);
+      setCopiedId(key);
       setTimeout(()=> setCopiedId(null), 1200);
     } catch {}
   }
 
   // Reset helpers
   function resetParams(){
-    setTimeframe("h1");
-    setMinLiq(10000);
-    setLimit(20);
-    setQuery("");
+    setChain(VIEW_DEFAULTS.chain);
+    setTimeframe(VIEW_DEFAULTS.timeframe);
+    setMinLiq(VIEW_DEFAULTS.minLiq);
+    setHideRisky(VIEW_DEFAULTS.hideRisky);
+    setLimit(VIEW_DEFAULTS.limit);
+    setQuery(VIEW_DEFAULTS.query);
+  }
+  const scoringProfiles = useMemo(() => allProfiles(userProfiles), [userProfiles]);
+  function applyProfile(name){
+    const prof = completeProfile(scoringProfiles[name]);
+    setProfileName(name);
+    setWeights(prof.weights);
+    setNorms(prof.norms);
   }
   function resetWeights(){
-    setWeights({ price: 0.5, volume: 0.3, txns: 0.1, boost: 0.1 });
+    applyProfile(scoringProfiles[profileName] ? profileName : DEFAULT_PROFILE);
+  }
+  function saveProfile(name){
+    const next = { ...userProfiles, [name]: { weights, norms } };
+    setUserProfiles(next);
+    saveUserProfiles(next);
+    setProfileName(name);
+  }
+  function deleteProfile(name){
+    const { [name]: _, ...rest } = userProfiles;
+    setUserProfiles(rest);
+    saveUserProfiles(rest);
+    applyProfile(DEFAULT_PROFILE);
+  }
+
+  // ------------------ Vue (URL + presets) ------------------
+  const view = useMemo(
+    () => ({ viz, chain, timeframe, minLiq, hideRisky, limit, query, profile: profileName, weights, norms, zoom, groupBy }),
+    [viz, chain, timeframe, minLiq, hideRisky, limit, query, profileName, weights, norms, zoom, groupBy]
+  );
+  useEffect(() => { writeViewToUrl(view); }, [view]);
+
+  function applyView(v){
+    setViz(v.viz);
+    setChain(v.chain);
+    setTimeframe(v.timeframe);
+    setMinLiq(v.minLiq);
+    setHideRisky(v.hideRisky);
+    setLimit(v.limit);
+    setQuery(v.query);
+    setProfileName(v.profile);
+    setWeights(v.weights);
+    setNorms(v.norms);
+    setGroupBy(v.groupBy);
+    const transform = d3.zoomIdentity.translate(v.zoom.x, v.zoom.y).scale(v.zoom.k);
+    zoomTransformRef.current = transform;
+    const z = zoomRef.current;
+    if (z) z.svg.transition().duration(200).call(z.zoomBehavior.transform, transform);
+  }
+  function updatePresets(next){
+    setPresets(next);
+    savePresets(next);
   }
 
-  // ------------------ Ads (bandeau, 1 slot, centré) ------------------
-  const ads = [
-    { id: "axiom",   label: "Trade faster with ", brand: "Axiom", href: "https://axiom.trade/@trenchapp", note: "Low fees. Fast fills." },
-    { id: "trenchor",label: "Copy-trade the best traders with ", brand: "Trenchor Bot", href: "https://t.me/Trenchor_bot?start=5691367640", note: "Auto copy-trade on Telegram", emoji: "🪖" },
-    { id: "photon",  label: "Be the first on any token with ", brand: "Photon", href: "https://photon-sol.tinyastro.io/@trenchboard", note: "Catch listings first. Move fast." },
-    { id: "ad_contact", label: "Your link here? ", brand: "Contact us", href: "https://t.me/trenchor_support" }
-  ];
+  // Enregistre l'état brut courant comme fixture rejouable (?provider=fixture&fixture=<nom>)
+  function recordSnapshot(){
+    downloadFixture(snapshotFromBoard({ boosts: rawBoosts, pairs: tokenPairs, profiles }));
+  }
 
   // ------------------ Render ------------------
   return (
-    <div className="min-h-screen w-full bg-[#090a0f] text-white">
-            <header className="sticky top-0 z-20 backdrop-blur bg-[#0a0b10]/70 border-b border-white/10 gap-x-10">
+    <div className="min-h-screen w-full bg-page text-white">
+            <header className="sticky top-0 z-20 backdrop-blur bg-page/70 border-b border-white/10 gap-x-10">
   <div className="max-w-7xl mx-auto px-4 py-4 flex items-center ">
     {/* Titre à gauche */}
      <img
           src="/favicon.png"
-          alt="Trench Board Logo"
+          alt={t("header.logoAlt")}
           style={{
             height: "30px",
             width: "auto",
@@ -402,140 +496,271 @@ export default function App() {
       </span>
     </h1>
 
+    {provider.id === "fixture" && (
+      <span className="ml-3 px-2 py-0.5 rounded-md text-xs border border-amber-400/40 text-amber-200" title={t("header.fixtureTitle")}>
+        {provider.label}
+      </span>
+    )}
+
     {/* Bouton à droite */}
-    <button
-      onClick={load}
-      className="ml-auto rounded-xl px-4 py-2 bg-[#141a26] border border-white/10 hover:border-white/20"
+    {providerConfig.record && (
+      <button
+        onClick={recordSnapshot}
+        className="ml-auto mr-2 rounded-xl px-3 py-2 text-sm bg-raised border border-white/10 hover:border-white/20"
+        title={t("header.snapshotTitle")}
+      >
+        {t("header.snapshot")}
+      </button>
+    )}
+    <RefreshControl
+      state={refresh}
+      className={providerConfig.record ? "" : "ml-auto"}
+      onRefresh={() => schedulerRef.current.refresh()}
+      onTogglePause={() => (refresh.paused ? schedulerRef.current.resume() : schedulerRef.current.pause())}
+      onInterval={changeRefreshInterval}
+    />
+    <select
+      className="ml-2 bg-surface border border-white/10 rounded-lg px-2 py-2 text-sm"
+      value={locale}
+      onChange={e => changeLocale(e.target.value)}
+      title={t("header.language")}
+      aria-label={t("header.language")}
     >
-      {loading ? "Loading…" : "Refresh"}
-    </button>
+      {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+    </select>
   </div>
 </header>
 
 
-      <AdBanner ads={ads} intervalMs={6000} selectedCA={selected?.id} />
-      import { useState, useEffect } from "react";
-
-
+      <AdBanner ads={ADS} intervalMs={6000} selectedCA={selected?.id} chainId={selected?.chainId} />
+      {showAdsAdmin && <AdsAdmin ads={ADS} />}
 
       <main className="max-w-7xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-12 gap-4">
         {/* Panneau de contrôle */}
         <section className="order-2 lg:order-1 lg:col-span-4 space-y-4">
-          <div className="p-4 rounded-2xl border border-white/10 bg-[#0f1117]/60">
+          <div className="p-4 rounded-2xl border border-white/10 bg-panel/60">
             <div className="flex items-center text-sm text-white/70 mb-2">
-  <span> Settings </span>
+  <span>{t("settings.title")}</span>
   <button
     onClick={resetParams}
     className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs"
   >
-    Reset
+    {t("settings.reset")}
   </button>
 </div>
 
             <div className="grid grid-cols-2 gap-4">
-              <label className="text-sm">Timeframe
-                <select className="w-full mt-1 bg-[#0b0f14] border border-white/10 rounded-lg p-2" value={timeframe} onChange={e=>setTimeframe(e.target.value)}>
+              <label className="text-sm col-span-2">{t("settings.chain")}
+                <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-2" value={chain} onChange={e=>setChain(e.target.value)}>
+                  {CHAIN_OPTIONS.map(id => <option key={id} value={id}>{chainLabel(id)}</option>)}
+                </select>
+              </label>
+              <label className="text-sm">{t("settings.timeframe")}
+                <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-2" value={timeframe} onChange={e=>setTimeframe(e.target.value)}>
                   <option value="m5">5m</option>
                   <option value="h1">1h</option>
                   <option value="h6">6h</option>
                   <option value="h24">24h</option>
                 </select>
               </label>
-              <label className="text-sm">Min Liquidité ($)
-                <input type="number" className="w-full mt-1 bg-[#0b0f14] border border-white/10 rounded-lg p-2" value={minLiq} onChange={e=>setMinLiq(+e.target.value || 0)} />
+              <div className="text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <label htmlFor="min-liq">{t("settings.minLiq")}</label>
+                  <label className="inline-flex items-center gap-1 text-xs text-white/70" title={t("settings.hideRiskyTitle")}>
+                    <input type="checkbox" className="accent-danger" checked={hideRisky} onChange={e=>setHideRisky(e.target.checked)} /> {t("settings.hideRisky")}
+                  </label>
+                </div>
+                <input id="min-liq" type="number" className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-2" value={minLiq} onChange={e=>setMinLiq(+e.target.value || 0)} />
+              </div>
+              <label className="text-sm">{t("settings.limit")}
+                <input type="number" className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-2" value={limit} onChange={e=>setLimit(Math.max(5, Math.min(300, +e.target.value || 20)))} />
               </label>
-              <label className="text-sm">Nombre de tokens
-                <input type="number" className="w-full mt-1 bg-[#0b0f14] border border-white/10 rounded-lg p-2" value={limit} onChange={e=>setLimit(Math.max(5, Math.min(300, +e.target.value || 20)))} />
+              <label className="text-sm col-span-2">{t("settings.openIn")}
+                <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-2" value={openTarget} onChange={e=>changeOpenTarget(e.target.value)}>
+                  {LINKS.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
               </label>
-              <label className="text-sm">Filtre (nom/symbole)
-                <input className="w-full mt-1 bg-[#0b0f14] border border-white/10 rounded-lg p-2" placeholder="ex: JUP, BONK" value={query} onChange={e=>setQuery(e.target.value)} />
+              <label className="text-sm col-span-2">{t("settings.filter")}
+                <input className={`w-full mt-1 bg-surface border rounded-lg p-2 ${parsedQuery.errors.length ? "border-danger/60" : "border-white/10"}`}
+                  placeholder={t("settings.filterPlaceholder")} value={query} onChange={e=>setQuery(e.target.value)}
+                  aria-invalid={parsedQuery.errors.length > 0} />
+                {parsedQuery.errors.map(err => <div key={err} className="mt-1 text-xs text-danger">{err}</div>)}
               </label>
             </div>
           </div>
 
-          <div className="p-4 rounded-2xl border border-white/10 bg-[#0f1117]/60">
-            <div className="flex items-center text-sm text-white/70 mb-2">
-  <span>Hype score </span>
-  <button
-    onClick={resetWeights}
-    className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs"
-  >
-    Reset
-  </button>
-</div>
-
-            <Slider label="Prix"    value={weights.price} onChange={v=>setWeights(s=>({...s, price:v}))} />
-            <Slider label="Volume"  value={weights.volume} onChange={v=>setWeights(s=>({...s, volume:v}))} />
-            <Slider label="Transactions" value={weights.txns} onChange={v=>setWeights(s=>({...s, txns:v}))} />
-            <Slider label="Boosts"  value={weights.boost} onChange={v=>setWeights(s=>({...s, boost:v}))} />
-            <div className="text-xs text-white/60 mt-2">Astuce : "Boost" reflète la mise en avant DexScreener (buzz court terme).</div>
-          </div>
+          <PortfolioPanel
+            positions={positions}
+            rows={portfolioRows}
+            color={color}
+            draft={positionDraft}
+            onDraft={setPositionDraft}
+            onAdd={addPositionFor}
+            onRemove={(id) => updatePositions(removePosition(positions, id))}
+            onImport={(list) => updatePositions(mergePositions(positions, list))}
+            onSelect={(r) => setSelected({ id: r.ca, chainId: r.chainId })}
+          />
+
+          <ThemePanel prefs={themePrefs} onChange={changeThemePrefs} />
+
+          <ScoringPanel
+            weights={weights}
+            norms={norms}
+            profileName={profileName}
+            profiles={scoringProfiles}
+            onWeight={(key, v) => setWeights(w => ({ ...w, [key]: v }))}
+            onNorm={(key, v) => setNorms(n => ({ ...n, [key]: v }))}
+            onSelectProfile={applyProfile}
+            onSaveProfile={saveProfile}
+            onDeleteProfile={deleteProfile}
+            onReset={resetWeights}
+          />
+
+          <FilterPanel query={query} parsed={parsedQuery} dexes={dexes} timeframe={timeframe} onChange={setQuery} />
+
+          <PresetsPanel
+            presets={presets}
+            onApply={applyView}
+            onSave={(name) => updatePresets(upsertPreset(presets, name, view))}
+            onDelete={(name) => updatePresets(presets.filter(p => p.name !== name))}
+            onImport={(list) => updatePresets(list.reduce((acc, p) => upsertPreset(acc, p.name, p.view), presets))}
+          />
+
+          <WatchlistPanel
+            watchlist={watchedIds}
+            nodes={nodes}
+            timeframe={timeframe}
+            color={color}
+            onSelect={setSelected}
+            onToggle={toggleWatch}
+          />
+
+          <AlertsPanel
+            rules={alertRules}
+            log={alertLog}
+            onRulesChange={updateAlertRules}
+            onClearLog={clearAlertLog}
+            onSelectToken={selectToken}
+          />
 
-          {error && <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-200">{error}</div>}
         </section>
 
         {/* Bubble chart */}
-        <section className="order-1 lg:order-2 lg:col-span-8 p-2 rounded-2xl border border-white/10 bg-[#0f1117]/60">
-          <div className="relative">
-            <svg ref={svgRef} width={dims.w} height={dims.h} />
-            <div className="absolute right-3 top-3 flex flex-col gap-2">
-              <button onClick={zoomIn} className="w-9 h-9 rounded-lg bg-[#0b0f14]/80 border border-white/10 hover:border-white/30">+</button>
-              <button onClick={zoomOut} className="w-9 h-9 rounded-lg bg-[#0b0f14]/80 border border-white/10 hover:border-white/30">−</button>
-              <button onClick={resetZoom} className="w-9 h-9 text-xs rounded-lg bg-[#0b0f14]/80 border border-white/10 hover:border-white/30">100%</button>
+        <section className="order-1 lg:order-2 lg:col-span-8 p-2 rounded-2xl border border-white/10 bg-panel/60">
+          <div className="flex items-center gap-1 px-1 pb-2 text-xs" role="tablist" aria-label={t("viz.label")}>
+            {VIZ_OPTIONS.map(id => (
+              <button key={id} role="tab" aria-selected={viz === id} onClick={() => setViz(id)}
+                className={`px-3 py-1 rounded-lg border ${viz === id ? "border-accent/60 bg-accent/10" : "border-white/10 hover:border-white/30"}`}>
+                {t(`viz.${id}`)}
+              </button>
+            ))}
+            {viz === "bubble" && (
+              <label className="ml-auto inline-flex items-center gap-1 text-white/60">{t("grouping.label")}
+                <select className="bg-surface border border-white/10 rounded-lg px-1.5 py-1" value={groupBy} onChange={e => setGroupBy(e.target.value)}>
+                  {GROUP_MODES.map(id => <option key={id} value={id}>{t(`grouping.modes.${id}`)}</option>)}
+                </select>
+              </label>
+            )}
+            <div className={viz === "bubble" ? "ml-2" : "ml-auto"}>
+              <ExportMenu nodes={nodes} settings={view} imageOptions={() => ({
+                dims, color, fill, groups,
+                caption: captionFor({ chain: chainLabel(chain), timeframe, profile: profileLabel(profileName), count: nodes.length, query, group: groups && t(`grouping.modes.${groupBy}`) }),
+              })} />
             </div>
           </div>
+          <FeedStatus error={error} status={feed.status} lastGoodAt={feed.lastGoodAt} kept={feed.kept} />
+          <div className="relative" ref={chartRef}>
+            {viz === "bubble" && (
+              <>
+                <Bubble nodes={nodes} dims={dims} timeframe={timeframe} color={color} fill={fill} theme={themePrefs.theme} groups={groups} onSelect={setSelected}
+                  compareIds={compareIds} onCompare={toggleCompareFor}
+                  zoomRef={zoomRef} zoomTransformRef={zoomTransformRef} onZoomEnd={onZoomEnd} />
+                <BubbleTable nodes={nodes} timeframe={timeframe} />
+                <div className="absolute right-3 top-3 flex flex-col gap-2">
+                  <button onClick={zoomIn} className="w-9 h-9 rounded-lg bg-surface/80 border border-white/10 hover:border-white/30" aria-label={t("viz.zoomIn")} aria-keyshortcuts="+" title={t("viz.zoomIn")}>+</button>
+                  <button onClick={zoomOut} className="w-9 h-9 rounded-lg bg-surface/80 border border-white/10 hover:border-white/30" aria-label={t("viz.zoomOut")} aria-keyshortcuts="-" title={t("viz.zoomOut")}>−</button>
+                  <button onClick={resetZoom} className="w-9 h-9 text-xs rounded-lg bg-surface/80 border border-white/10 hover:border-white/30" aria-label={t("viz.zoomReset")} aria-keyshortcuts="0" title={t("viz.zoomReset")}>100%</button>
+                </div>
+              </>
+            )}
+            {viz === "treemap" && <TreemapView nodes={nodes} dims={dims} timeframe={timeframe} color={color} onSelect={setSelected} />}
+            {viz === "scatter" && <ScatterView nodes={nodes} dims={dims} timeframe={timeframe} color={color} onSelect={setSelected} />}
+            {viz === "table" && <TableView nodes={nodes} timeframe={timeframe} color={color} onSelect={setSelected} />}
+          </div>
           <div className="flex items-center justify-start px-2 pb-2 text-xs text-white/60">
-            <div>{nodes.length} tokens · timeframe {timeframe}</div>
-            <div>Zoom: molette/pinch · Drag: déplacer · Clic: pop-up d'infos</div>
+            <div>{t("viz.summary", { count: nodes.length, chain: chainLabel(chain), timeframe })}{viz === "bubble" && renderer === "canvas" ? t("viz.canvas") : ""}</div>
+            <div>{t(`viz.hints.${viz}`)}{viz === "bubble" ? ` · ${t("a11y.shortcuts")}` : ""}</div>
           </div>
         </section>
 
         {/* Top par hype */}
-        <section className="order-3 lg:order-3 lg:col-span-12 p-4 rounded-2xl border border-white/10 bg-[#0f1117]/60">
-          <div className="text-sm text-white/70 mb-2">Top Ones </div>
+        <section className="order-3 lg:order-3 lg:col-span-12 p-4 rounded-2xl border border-white/10 bg-panel/60">
+          <div className="text-sm text-white/70 mb-2">{t("top.title")}</div>
           <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
             {nodes.slice(0, 24).map(n => (
               <div
                 key={n.id}
                 role="link"
                 tabIndex={0}
-                onClick={() => window.open(buildPhotonUrl(n.id, "trenchboard"), "_blank", "noopener,noreferrer")}
-                onKeyDown={(e) => { if (e.key === "Enter") window.open(buildPhotonUrl(n.id, "trenchboard"), "_blank", "noopener,noreferrer"); }}
-                className="group rounded-xl border border-white/10 p-3 hover:border-white/30 bg-[#0b0f14] cursor-pointer"
+                onClick={() => window.open(openUrl(n), "_blank", "noopener,noreferrer")}
+                aria-label={`${n.symbol} (${n.name}) — ${t("top.viewOn", { explorer: openLinkFor(n.chainId, openTarget).name })}`}
+                onKeyDown={(e) => {
+                  if (e.target !== e.currentTarget || (e.key !== "Enter" && e.key !== " ")) return; // pas les boutons internes (★, copier)
+                  e.preventDefault();
+                  window.open(openUrl(n), "_blank", "noopener,noreferrer");
+                }}
+                className={`group rounded-xl border p-3 hover:border-white/30 bg-surface cursor-pointer ${n.watched ? "border-gold/40" : "border-white/10"} ${compareIds.includes(n.id) ? "ring-2 ring-accent2/70" : ""}`}
               >
                 <div className="flex items-center gap-2">
                   <div className="w-6 h-6 rounded-full overflow-hidden border border-white/10">
                     {n.icon ? (
                       <img src={n.icon} alt="" className="w-full h-full object-cover" />
                     ) : (
-                      <div className="w-full h-full bg-gradient-to-br from-[#14F195] to-[#9945FF]" />
+                      <div className="w-full h-full bg-gradient-to-br from-accent to-accent2" />
                     )}
                   </div>
                   <div className="font-semibold">{n.symbol}</div>
                   <div className="text-xs text-white/60 truncate flex-1">{n.name}</div>
+                  <ChainBadge chainId={n.chainId} />
+                  <StarButton active={n.watched} onToggle={() => toggleWatch(n.id, n.chainId)} />
                 </div>
+                <RiskBadge risk={n.risk} className="mt-1" />
                 <div className="mt-2 grid grid-cols-2 text-xs gap-x-2 text-white/70">
-                  <div>Chg {timeframe}</div><div className="text-right" style={{color: color(n.priceChg)}}>{(isFinite(n.priceChg)?n.priceChg.toFixed(2):0)}%</div>
-                  <div>MC</div><div className="text-right">{n.mc ? `$${d3.format(",.0f")(n.mc)}` : "—"}</div>
-                  <div>Vol {timeframe}</div><div className="text-right">${d3.format(",.0f")(n.vol)}</div>
-                  <div>LiQ</div><div className="text-right">${d3.format(",.0f")(n.liquidity)}</div>
-                  <div>Boost</div><div className="text-right">{n.boost || 0}</div>
+                  <div>{t("metrics.chg", { tf: timeframe })}</div><div className="text-right" style={{color: color(n.priceChg)}}>{fmtPct(isFinite(n.priceChg) ? n.priceChg : 0)}</div>
+                  <div>{t("metrics.mc")}</div><div className="text-right">{n.mc ? fmtUsd(n.mc, { compact: true }) : "—"}</div>
+                  <div>{t("metrics.vol", { tf: timeframe })}</div><div className="text-right">{fmtUsd(n.vol, { compact: true })}</div>
+                  <div>{t("metrics.liq")}</div><div className="text-right">{fmtUsd(n.liquidity, { compact: true })}</div>
+                  <div>{t("metrics.boost")}</div><div className="text-right">{n.boost || 0}</div>
                 </div>
+                <TrendRow trend={trend(n.id)} width={44} />
                 <div className="mt-2 flex items-center justify-start text-xs">
                   <button
                     className="text-blue-300 hover:underline"
-                    onClick={(e)=>{ e.stopPropagation(); window.open(`https://solscan.io/token/${n.id}`, "_blank", "noopener,noreferrer"); }}
-                    title="Voir sur Solscan"
+                    onClick={(e)=>{ e.stopPropagation(); window.open(explorerUrl(n.chainId, n.id), "_blank", "noopener,noreferrer"); }}
+                    title={t("top.viewOn", { explorer: chainInfo(n.chainId).explorer.name })}
                   >
                     {short(n.id)}
                   </button>
                   <button
                     className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
                     onClick={(e)=>{ e.stopPropagation(); handleCopy(n.id); }}
-                    title="Copier le CA"
+                    title={t("copy.copyCa")}
+                  >
+                    <CopyIcon className="w-3 h-3" /> {copiedId===n.id ? t("copy.copied") : t("copy.copy")}
+                  </button>
+                  <button
+                    className="ml-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
+                    onClick={(e)=>{ e.stopPropagation(); setPositionDraft(draftFor(n)); }}
+                    title={t("portfolio.addFor", { symbol: n.symbol })}
+                    aria-label={t("portfolio.addFor", { symbol: n.symbol })}
                   >
-                    <CopyIcon className="w-3 h-3" /> {copiedId===n.id ? "Copié" : "Copy"}
+                    {t("portfolio.position")}
                   </button>
+                  <label className="ml-auto inline-flex items-center gap-1 text-white/60" onClick={(e)=> e.stopPropagation()} title={t("compare.select", { symbol: n.symbol })}>
+                    <input type="checkbox" className="accent-accent2" checked={compareIds.includes(n.id)} onChange={() => toggleCompareFor(n)}
+                      aria-label={t("compare.select", { symbol: n.symbol })} />
+                    {t("compare.short")}
+                  </label>
                 </div>
               </div>
             ))}
@@ -543,82 +768,42 @@ export default function App() {
         </section>
       </main>
 
-      {/* Pop-up d'infos */}
+      {/* Vue détail (pop-up, ?ca=) */}
       {selected && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={()=>setSelected(null)}>
-          <div className="w-fit max-w-[95vw] rounded-2xl border border-white/10 bg-[#0f1117]" onClick={e=>e.stopPropagation()}>
-            {/* HEADER: avatar + (symbol/name) + close */}
-            <div className="flex items-start gap-3 p-4 border-b border-white/10">
-              <div className="w-8 h-8 rounded-full overflow-hidden border border-white/10">
-                {selected.icon ? (
-                  <img src={selected.icon} alt="" className="w-full h-full object-cover"/>
-                ) : (
-                  <div className="w-full h-full bg-gradient-to-br from-[#14F195] to-[#9945FF]" />
-                )}
-              </div>
-              <div className="flex-1 min-w-0">
-                <div className="flex items-center gap-2">
-                  <div className="font-bold text-base">{selected.symbol}</div>
-                  <div className="text-xs text-white/60 truncate">{selected.name}</div>
-                </div>
-              </div>
-              <button className="ml-2 p-1 rounded hover:bg-white/10" onClick={()=>setSelected(null)} aria-label="Fermer">
-                <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                  <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
-                </svg>
-              </button>
-            </div>
-
-            {/* METRICS */}
-            <div className="p-4 grid grid-cols-2 gap-3 text-sm">
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">MC<br/><span className="font-semibold">{selected.mc ? `$${d3.format(",.0f")(selected.mc)}` : "—"}</span></div>
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">Chg {timeframe}<br/><span className="font-semibold" style={{color: color(selected.priceChg)}}>{(isFinite(selected.priceChg)?selected.priceChg.toFixed(2):0)}%</span></div>
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">Liquidité<br/><span className="font-semibold">${d3.format(",.0f")(selected.liquidity)}</span></div>
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">Vol {timeframe}<br/><span className="font-semibold">${d3.format(",.0f")(selected.vol)}</span></div>
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">Txns 1h<br/><span className="font-semibold">{selected.txnH1}</span></div>
-              <div className="rounded-xl border border-white/10 bg-[#0b0f14] p-3">Prix<br/><span className="font-semibold">${(selected.priceUsd ?? 0).toFixed(6)}</span></div>
-            </div>
+        <TokenDetail
+          token={selected}
+          node={selectedNode}
+          pair={tokenPairs[selected.id]}
+          profile={profiles[selected.id]}
+          provider={provider}
+          trend={trend(selected.id)}
+          timeframe={timeframe}
+          color={color}
+          watched={watchedIds.includes(selected.id)}
+          onToggleWatch={() => toggleWatch(selected.id, selected.chainId)}
+          onAddPosition={addPositionFor}
+          onClose={() => setSelected(null)}
+          copiedId={copiedId}
+          onCopy={handleCopy}
+          openTarget={openTarget}
+        />
+      )}
 
-            {/* FOOTER: CA + Copy (gauche) et liens référal (droite) sur une seule ligne */}
-            <div className="p-4 border-t border-white/10 text-xs">
-              <div className="flex items-center justify-start gap-1.5 whitespace-nowrap overflow-x-auto flex-nowrap">
-                {/* GAUCHE: CA + Copy */}
-                <div className="flex items-center gap-1.5">
-                  <a href={`https://solscan.io/token/${selected.id}`} target="_blank" rel="noreferrer" className="text-blue-300 hover:underline">
-                    {short(selected.id)}
-                  </a>
-                  <button
-                    className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
-                    onClick={()=>handleCopy(selected.id)}
-                  >
-                    <CopyIcon className="w-3 h-3" /> {copiedId===selected.id ? "Copié" : "Copy CA"}
-                  </button>
-                </div>
-                {/* DROITE: Référals */}
-                <div className="flex items-center gap-1.5">
-                  <a className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
-                     href={selected.url || `https://dexscreener.com/solana/${selected.id}`} target="_blank" rel="noreferrer">
-                    Dexscreener
-                  </a>
-                  <a className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
-                     href={buildPhotonUrl(selected.id, "trenchboard")} target="_blank" rel="noreferrer">
-                    Photon
-                  </a>
-                  <a className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30" href={buildAxiomUrl(selected.id)} target="_blank" rel="noreferrer">
-                    Axiom
-                  </a>
-                  <a className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30" href={buildTrojanUrl(selected.id)} target="_blank" rel="noreferrer">
-                    Trojan
-                  </a>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+      {/* Comparaison : barre de sélection + panneau */}
+      <CompareTray tokens={comparedNodes} onRemove={(id) => setCompareIds(ids => ids.filter(x => x !== id))}
+        onOpen={() => setShowCompare(true)} onClear={() => setCompareIds([])} />
+      {showCompare && compareTokens.length > 0 && (
+        <ComparePanel
+          tokens={compareTokens}
+          color={color}
+          onRemove={(id) => setCompareIds(ids => ids.filter(x => x !== id))}
+          onSelect={(n) => { setShowCompare(false); setSelected(n); }}
+          onClose={() => setShowCompare(false)}
+        />
       )}
 
       <footer className="max-w-7xl mx-auto px-4 py-8 text-center text-xs text-white/40">
-        Built on Solana | All rights reserved © 2025
+        {t("footer")}
       </footer>
     </div>
   );
@@ -626,120 +811,112 @@ export default function App() {
 
 
 
-function AdBanner({ ads = [], intervalMs = 6000 }) {
-  const [index, setIndex] = useState(0);
-  const [fade, setFade] = useState(true);
-
-  // Rotation automatique avec effet fade
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setFade(false);
-      setTimeout(() => {
-        setIndex((prev) => (prev + 1) % ads.length);
-        setFade(true);
-      }, 300); // durée du fade-out avant le switch
-    }, intervalMs);
-
-    return () => clearInterval(interval);
-  }, [ads.length, intervalMs]);
-
-  // Navigation manuelle
-  const nextAd = () => {
-    setFade(false);
-    setTimeout(() => {
-      setIndex((prev) => (prev + 1) % ads.length);
-      setFade(true);
-    }, 300);
-  };
-
-  const prevAd = () => {
-    setFade(false);
-    setTimeout(() => {
-      setIndex((prev) => (prev - 1 + ads.length) % ads.length);
-      setFade(true);
-    }, 300);
-  };
-
-  if (!ads.length) return null;
-
-  return (
-    <div className="flex items-center justify-center gap-4 px-4 py-3 rounded-xl border border-white/10 bg-[#0f1117]/60 text-white relative overflow-hidden transition-all">
-      {/* Flèche gauche */}
-      <button
-        onClick={prevAd}
-        className="text-white/70 hover:text-white text-xl transition"
-        aria-label="Previous ad"
-      >
-        ⬅
-      </button>
-
-      {/* Texte avec transition */}
-      <div
-        className={`flex-1 text-center text-sm sm:text-base font-medium transition-opacity duration-300 ${
-          fade ? "opacity-100" : "opacity-0"
-        }`}
-      >
-        {ads[index]}
-      </div>
-
-      {/* Flèche droite */}
-      <button
-        onClick={nextAd}
-        className="text-white/70 hover:text-white text-xl transition"
-        aria-label="Next ad"
-      >
-        ➡
-      </button>
-    </div>
-  );
-}
-
-
-/* --------- Composants utilitaires --------- */
-function Slider({ label, value, onChange }) {
-  return (
-    <div className="grid grid-cols-[90px_1fr_60px] items-center gap-2 py-1">
-      <div className="text-sm text-white/80">{label}</div>
-      <input
-        type="range"
-        min={0}
-        max={1}
-        step={0.05}
-        value={value}
-        onChange={e=>onChange(+e.target.value)}
-        className="w-full accent-[#14F195]"
-      />
-      <div className="text-right text-xs text-white/70">{value.toFixed(2)}</div>
-    </div>
-  );
-}
-
-function CopyIcon({ className }){
-  return (
-    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor"
-         strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}>
-      <rect x="9" y="9" width="13" height="13" rx="2"></rect>
-      <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-    </svg>
-  );
-}
+const VIZ_OPTIONS = ["bubble", "treemap", "scatter", "table"]; // libellés et aides : viz.<id>, viz.hints.<id>
 
 /* ---------- Mini tests (console) ---------- */
 if (typeof window !== "undefined") {
-  // buildPhotonUrl
+  // Photon
   console.assert(
-    buildPhotonUrl("5T5h4fW1hqBeqwhsPxZwm95Sgq36PasukMrxgE6Jbonk") ===
+    buildLinkUrl(getLink("photon"), "5T5h4fW1hqBeqwhsPxZwm95Sgq36PasukMrxgE6Jbonk") ===
     "https://photon-sol.tinyastro.io/en/r/@trenchboard/5T5h4fW1hqBeqwhsPxZwm95Sgq36PasukMrxgE6Jbonk",
-    "buildPhotonUrl doit retourner l'URL attendue"
+    "Photon doit retourner l'URL attendue"
+  );
+  // Axiom
+  console.assert(
+    buildLinkUrl(getLink("axiom"), "So11111111111111111111111111111111111111112").includes("@trenchapp"),
+    "Axiom doit utiliser @trenchapp par défaut"
+  );
+  // Trojan
+  console.assert(
+    buildLinkUrl(getLink("trojan"), "So11111111111111111111111111111111111111112").startsWith("https://t.me/solana_trojanbot?start=r-"),
+    "Trojan doit commencer par le préfixe Telegram"
+  );
+  // Cible "Ouvrir dans" hors chaîne : repli sur un lien de la chaîne
+  console.assert(
+    openLinkFor("base", "photon").id === "gmgn",
+    "openLinkFor doit se replier sur GMGN pour Base"
+  );
+  // Chaînes acceptées par le proxy : mêmes ids que CHAINS
+  console.assert(
+    CHAIN_OPTIONS.filter(c => c !== ALL_CHAINS).join() === CHAIN_IDS.join(),
+    "CHAIN_IDS (normalize.js) doit suivre CHAINS (chains.js)"
+  );
+  // Requête : suffixe m = million pour les montants, minutes pour age (unité par défaut)
+  console.assert(parseQuery("mc<2m").clauses[0].value === 2e6, "mc<2m doit valoir 2 millions");
+  console.assert(
+    parseQuery("age<2m").clauses[0].value === 120e3 && parseQuery("age<2").clauses[0].value === 120e3,
+    "age<2m et age<2 doivent valoir 2 minutes"
+  );
+  // Requête : termes invalides remontés dans errors, le reste s'applique
+  const badQuery = parseQuery("foo>1 mc>abc dex>raydium chain: liq>50k");
+  console.assert(
+    badQuery.errors.length === 4 && badQuery.errors[0].includes("foo") &&
+    badQuery.clauses.length === 1 && badQuery.clauses[0].field === "liq" && badQuery.clauses[0].value === 5e4,
+    "parseQuery doit signaler champ inconnu, nombre invalide, opérateur de liste et valeur manquante"
+  );
+  // Requête compilée : comparaisons, listes (casse ignorée), texte, timeframe des champs non suffixés
+  const queryMatch = compileQuery(parseQuery('mc<5m dex:raydium "bonk"'), "h1");
+  console.assert(
+    queryMatch({ mc: 1e6, symbol: "BONK" }, { dexId: "Raydium" }) &&
+    !queryMatch({ mc: 6e6, symbol: "BONK" }, { dexId: "raydium" }) &&
+    !queryMatch({ mc: 1e6, symbol: "BONK" }, { dexId: "orca" }),
+    "compileQuery doit combiner comparaison, liste et texte"
+  );
+  console.assert(
+    compileQuery(parseQuery("chg>10"), "m5")({}, { priceChange: { m5: 20, h1: 0 } }) &&
+    !compileQuery(parseQuery("chg>10"), "h1")({}, { priceChange: { m5: 20, h1: 0 } }),
+    "chg doit suivre le timeframe courant"
+  );
+  // Panneau Filtres : remplace les termes du champ, conserve les autres (guillemets, listes niées)
+  console.assert(setRange("bonk mc>1m mc<=9m dex:orca", "mc", { min: 5e5, max: null }) === "bonk dex:orca mc>=500k", "setRange doit remplacer les bornes mc");
+  console.assert(setRange('age>=1h "pepe coin"', "age", { min: null, max: 2 * 3600e3 }) === '"pepe coin" age<=2h', "setRange doit formater age en heures");
+  console.assert(setList("dex:orca dex!=pump liq>5k", "dex", ["raydium", "meteora"]) === "dex!=pump liq>5k dex:raydium,meteora", "setList doit garder la liste niée");
+  console.assert(setList("dex:orca liq>5k", "dex", []) === "liq>5k", "setList vide doit retirer le terme");
+  // Normalisations : entrées dégénérées (valeurs égales, NaN, un seul nœud) → valeurs finies dans [0, 1]
+  const volumeFactor = FACTORS.find(f => f.key === "volume");
+  for (const [key, n] of Object.entries(NORMALIZERS)) {
+    for (const values of [[5, 5, 5], [0, 0], [7], [NaN, NaN]]) {
+      console.assert(n.fn(values, volumeFactor).every(v => v === 0.5), `${key} doit donner 0.5 sur un domaine dégénéré`);
+    }
+    const withNaN = n.fn([1, NaN, 3], volumeFactor);
+    console.assert(withNaN.every(v => Number.isFinite(v) && v >= 0 && v <= 1), `${key} doit traiter NaN comme 0`);
+  }
+  console.assert(NORMALIZERS.clamp.fn([50, 100], FACTORS.find(f => f.key === "price")).every(v => v === 1), "clamp doit borner sur le domaine du facteur");
+  // Export CSV : texte du créateur du token neutralisé s'il ressemble à une formule, nombres négatifs intacts
+  const csvRow = nodesToCSV([{ id: "ca", symbol: "=HYPERLINK(1)", name: "@SUM(A1)", priceChg: -12.5 }]).split("\n")[1].split(",");
+  console.assert(csvRow[3] === "'=HYPERLINK(1)" && csvRow[4] === "'@SUM(A1)" && csvRow[7] === "-12.5", "csvCell doit neutraliser les formules");
+  // Alertes : référence sans déclenchement, une seule alerte au franchissement, réarmée quand la condition redevient fausse
+  const hypeRule = { id: "r1", enabled: true, type: "threshold", metric: "hype", op: ">", value: 0.7 };
+  const hypeAt = (hype) => [{ id: "a", symbol: "A", hype }];
+  const alertSteps = [0.9, 0.5, 0.8, 0.95, 0.6, 0.75].reduce((acc, hype) => {
+    const { events, state } = evaluateRules([hypeRule], hypeAt(hype), acc.state);
+    return { state, counts: [...acc.counts, events.length] };
+  }, { state: {}, counts: [] });
+  console.assert(alertSteps.counts.join() === "0,0,1,0,0,1", "evaluateRules doit déclencher sur front montant uniquement");
+  const topRule = { id: "r2", enabled: true, type: "enterTop", n: 1 };
+  const topBase = evaluateRules([topRule], [{ id: "a", hype: 2 }, { id: "b", hype: 1 }]);
+  const topSwap = evaluateRules([topRule], [{ id: "b", hype: 3 }, { id: "a", hype: 2 }], topBase.state);
+  const topHeld = evaluateRules([topRule], [{ id: "b", hype: 4 }, { id: "a", hype: 2 }], topSwap.state);
+  console.assert(
+    topBase.events.length === 0 && topSwap.events.length === 1 && topSwap.events[0].tokenId === "b" && topHeld.events.length === 0,
+    "enterTop doit signaler une seule fois l'entrée dans le top"
   );
-  // buildAxiomUrl
+  console.assert(evaluateRules([{ ...hypeRule, enabled: false }], hypeAt(0.9), { r1: [] }).events.length === 0, "une règle désactivée ne doit pas déclencher");
+  // Auto-refresh : backoff exponentiel en ms, plafonné
   console.assert(
-    buildAxiomUrl("So11111111111111111111111111111111111111112").includes("@lehunnid"),
-    "buildAxiomUrl doit utiliser @lehunnid par défaut"
+    backoffDelay(30, 0) === 30e3 && backoffDelay(30, 2) === 120e3 && backoffDelay(60, 10) === MAX_BACKOFF_S * 1000,
+    "backoffDelay doit doubler à chaque échec jusqu'au plafond"
   );
-  // buildTrojanUrl
+  // Comparaison : ex aequo au même rang (classement « 1, 1, 3 »), valeurs non finies sans rang
+  console.assert(rankWithin([3, 5, NaN, 5, 1]).join() === "3,1,,1,4", "rankWithin doit classer les ex aequo au même rang");
+  console.assert(rankWithin([3, Infinity, 1, 3], -1).join() === "2,,1,2", "rankWithin doit ignorer les valeurs non finies (ordre croissant)");
+  // Grouper par : tranches de MC dans l'ordre fixe (MC inconnue en dernier), DEX au-delà de GROUP_MAX dans « Autres »
+  console.assert(groupNodes("none", []) === null, "groupNodes doit renvoyer null sans regroupement");
+  const mcGroups = groupNodes("mc", [{ id: "a", mc: 2e7, hype: 1 }, { id: "b", mc: 5e4, hype: 1 }, { id: "c", mc: 0, hype: 1 }, { id: "d", mc: 3e5, hype: 1 }]);
+  console.assert(mcGroups.map(g => g.key).join() === "lt100k,100k-1m,gt10m,unknown", "groupNodes doit ordonner les tranches de MC");
+  const dexGroups = groupNodes("dex", Array.from({ length: GROUP_MAX + 2 }, (_, i) => ({ id: `n${i}`, dexId: `dex${i}`, hype: 20 - i, vol: 1 })));
   console.assert(
-    buildTrojanUrl("So11111111111111111111111111111111111111112").startsWith("https://t.me/solana_trojanbot?start=r-"),
-    "buildTrojanUrl doit commencer par le préfixe Telegram"
+    dexGroups.length === GROUP_MAX && dexGroups[0].key === "dex0" && dexGroups.at(-1).key === "other" && dexGroups.at(-1).count === 3,
+    "groupNodes doit regrouper les DEX au-delà de GROUP_MAX dans « Autres »"
   );
 }
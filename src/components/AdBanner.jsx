@@ -0,0 +1,99 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { adHref, eligibleAds, pickWeighted, recordClick, recordImpression } from "../lib/ads.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Bandeau pub 1 slot (texte centré), rotation pondérée, fade doux
+ * - Pubs ciblées "requiresSelection" : affichées (en priorité) quand un token est sélectionné, lien vers son CA
+ * - Impression comptée à chaque affichage d'une pub (onglet visible), clic compté sur le lien
+ */
+export default function AdBanner({ ads = [], intervalMs = 6000, selectedCA, chainId }) {
+  const eligible = useMemo(() => eligibleAds(ads, { selectedCA, chainId }), [ads, selectedCA, chainId]);
+  const eligibleRef = useRef(eligible);
+  eligibleRef.current = eligible;
+  const [currentId, setCurrentId] = useState(() => pickWeighted(eligible)?.id);
+  const [fade, setFade] = useState(true);
+  const fadeTimer = useRef(null);
+
+  const ad = eligible.find(a => a.id === currentId) || eligible[0];
+
+  function switchTo(next) {
+    setFade(false);
+    clearTimeout(fadeTimer.current);
+    fadeTimer.current = setTimeout(() => {
+      setCurrentId(next);
+      setFade(true);
+    }, 300); // durée du fade-out avant le switch
+  }
+  useEffect(() => () => clearTimeout(fadeTimer.current), []);
+
+  // Rotation automatique (tirage pondéré)
+  useEffect(() => {
+    const interval = setInterval(() => {
+      switchTo(prev => pickWeighted(eligibleRef.current, prev)?.id);
+    }, intervalMs);
+    return () => clearInterval(interval);
+  }, [intervalMs]);
+
+  // Nouveau token sélectionné : on met en avant une pub ciblée sur la sélection
+  useEffect(() => {
+    if (!selectedCA) return;
+    const targeted = eligibleRef.current.filter(a => a.targeting?.requiresSelection);
+    if (targeted.length) switchTo(pickWeighted(targeted)?.id);
+  }, [selectedCA]);
+
+  // Impressions
+  useEffect(() => {
+    if (ad && document.visibilityState === "visible") recordImpression(ad.id);
+  }, [ad?.id]);
+
+  // Navigation manuelle
+  const step = (delta) => {
+    const i = Math.max(0, eligible.findIndex(a => a.id === ad?.id));
+    switchTo(eligible[(i + delta + eligible.length) % eligible.length]?.id);
+  };
+
+  if (!ad) return null;
+
+  return (
+    <div className="flex items-center justify-center gap-4 px-4 py-3 rounded-xl border border-white/10 bg-panel/60 text-white relative overflow-hidden transition-all">
+      {/* Flèche gauche */}
+      <button
+        onClick={() => step(-1)}
+        className="text-white/70 hover:text-white text-xl transition"
+        aria-label={t("ads.prev")}
+      >
+        ⬅
+      </button>
+
+      {/* Texte avec transition */}
+      <div
+        className={`flex-1 text-center text-sm sm:text-base font-medium transition-opacity duration-300 ${
+          fade ? "opacity-100" : "opacity-0"
+        }`}
+      >
+        {ad.emoji && <span className="mr-1">{ad.emoji}</span>}
+        {ad.label}
+        <a
+          href={adHref(ad, { selectedCA, chainId })}
+          target="_blank"
+          rel="noopener noreferrer sponsored"
+          onClick={() => recordClick(ad.id)}
+          className="font-bold text-accent hover:underline"
+        >
+          {ad.brand}
+        </a>
+        {ad.note && <span className="hidden sm:inline text-white/50 font-normal"> · {ad.note}</span>}
+      </div>
+
+      {/* Flèche droite */}
+      <button
+        onClick={() => step(1)}
+        className="text-white/70 hover:text-white text-xl transition"
+        aria-label={t("ads.next")}
+      >
+        ➡
+      </button>
+    </div>
+  );
+}
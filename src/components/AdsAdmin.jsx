@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { ctr, isScheduled, loadAdStats, resetAdStats } from "../lib/ads.js";
+import { downloadJSON } from "../lib/download.js";
+import { fmtDate, fmtPct, t } from "../lib/i18n.js";
+
+/**
+ * Admin pubs (?admin) : campagnes, planning, impressions / clics / CTR (stats locales à ce navigateur)
+ */
+export default function AdsAdmin({ ads }) {
+  const [stats, setStats] = useState(() => loadAdStats());
+  const today = new Date().toISOString().slice(0, 10);
+  const now = Date.now();
+  const day = (d) => (d ? fmtDate(new Date(d)) : "—");
+
+  function status(ad) {
+    if (ad.start && now < Date.parse(ad.start)) return "scheduled";
+    if (!isScheduled(ad, now)) return "ended";
+    return ad.weight > 0 ? "active" : "paused";
+  }
+
+  function reset() {
+    if (!window.confirm(t("ads.admin.confirmReset"))) return;
+    resetAdStats();
+    setStats({});
+  }
+
+  return (
+    <section className="max-w-7xl mx-auto px-4 pt-4">
+      <div className="p-4 rounded-2xl border border-amber-400/30 bg-panel/60 text-xs">
+        <div className="flex items-center text-sm text-white/70 mb-2">
+          <span>{t("ads.admin.title")}</span>
+          <span className="ml-2 text-white/40">{t("ads.admin.localNote")}</span>
+          <button onClick={() => setStats(loadAdStats())} className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30">{t("ads.admin.refresh")}</button>
+          <button onClick={() => downloadJSON({ exportedAt: new Date().toISOString(), ads, stats }, `trenchboard-ads-${today}.json`)} className="ml-2 px-2 py-1 rounded-md border border-white/10 hover:border-white/30">{t("ads.admin.export")}</button>
+          <button onClick={reset} className="ml-2 px-2 py-1 rounded-md border border-white/10 hover:border-red-400/50">{t("ads.admin.reset")}</button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="text-white/40">
+              <tr>
+                <th className="py-1 pr-3">{t("ads.admin.campaign")}</th><th className="pr-3">{t("ads.admin.status")}</th><th className="pr-3">{t("ads.admin.weight")}</th>
+                <th className="pr-3">{t("ads.admin.start")}</th><th className="pr-3">{t("ads.admin.end")}</th><th className="pr-3">{t("ads.admin.targeting")}</th>
+                <th className="pr-3 text-right">{t("ads.admin.impressions")}</th><th className="pr-3 text-right">{t("ads.admin.clicks")}</th><th className="pr-3 text-right">{t("ads.admin.ctr")}</th>
+                <th className="text-right">{t("ads.admin.today")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ads.map(ad => {
+                const s = stats[ad.id];
+                const d = s?.days?.[today];
+                const target = ad.targeting || {};
+                return (
+                  <tr key={ad.id} className="border-t border-white/5">
+                    <td className="py-1 pr-3"><span className="font-semibold">{ad.brand}</span> <span className="text-white/40">{ad.id}</span></td>
+                    <td className="pr-3">{t(`ads.admin.statuses.${status(ad)}`)}</td>
+                    <td className="pr-3">{ad.weight}</td>
+                    <td className="pr-3">{day(ad.start)}</td>
+                    <td className="pr-3">{day(ad.end)}</td>
+                    <td className="pr-3 text-white/60">{[target.chains?.join("/"), target.requiresSelection && t("ads.admin.selectedToken"), ad.deepLink && `→ ${ad.deepLink}`].filter(Boolean).join(" · ") || "—"}</td>
+                    <td className="pr-3 text-right">{s?.impressions || 0}</td>
+                    <td className="pr-3 text-right">{s?.clicks || 0}</td>
+                    <td className="pr-3 text-right">{fmtPct(ctr(s) * 100, 1)}</td>
+                    <td className="text-right text-white/60">{d ? `${d.impressions} / ${d.clicks}` : "—"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
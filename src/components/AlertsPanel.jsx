@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { ALERT_METRICS, ALERT_OPS, describeRule, newRule, notificationsSupported, requestNotificationPermission } from "../lib/alerts.js";
+import { fmtTime, t } from "../lib/i18n.js";
+
+/**
+ * Panneau Alertes : édition des règles + journal des déclenchements
+ */
+export default function AlertsPanel({ rules, log, onRulesChange, onClearLog, onSelectToken }) {
+  const [draft, setDraft] = useState(() => newRule());
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : "unsupported"));
+
+  const input = "bg-surface border border-white/10 rounded-md p-1";
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  function add() {
+    const { id, ...rule } = draft;
+    onRulesChange([...rules, newRule(rule)]);
+    setDraft(newRule({ type: draft.type, metric: draft.metric, op: draft.op, scope: draft.scope, notify: draft.notify, sound: draft.sound }));
+  }
+  const update = (id, patch) => onRulesChange(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const remove = (id) => onRulesChange(rules.filter(r => r.id !== id));
+
+  async function askPermission() {
+    setPermission(await requestNotificationPermission());
+  }
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60 text-xs">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("alerts.title")}</span>
+        {permission === "default" && (
+          <button onClick={askPermission} className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs">
+            {t("alerts.enableNotifications")}
+          </button>
+        )}
+        {permission === "denied" && <span className="ml-auto text-white/40">{t("alerts.blocked")}</span>}
+      </div>
+
+      {/* Règles */}
+      <div className="space-y-1 mb-3">
+        {!rules.length && <div className="text-white/40">{t("alerts.empty")}</div>}
+        {rules.map(r => (
+          <div key={r.id} className="flex items-center gap-2">
+            <input type="checkbox" checked={r.enabled} onChange={e => update(r.id, { enabled: e.target.checked })} aria-label={t("alerts.enableRule")} />
+            <span className={`flex-1 truncate ${r.enabled ? "" : "text-white/40"}`}>{describeRule(r)}</span>
+            <button onClick={() => update(r.id, { notify: !r.notify })} className={r.notify ? "" : "opacity-30"} title={t("alerts.notification")} aria-label={t("alerts.notification")} aria-pressed={r.notify}>🔔</button>
+            <button onClick={() => update(r.id, { sound: !r.sound })} className={r.sound ? "" : "opacity-30"} title={t("alerts.sound")} aria-label={t("alerts.sound")} aria-pressed={r.sound}>🔊</button>
+            <button onClick={() => remove(r.id)} className="text-white/40 hover:text-red-300" title={t("alerts.delete")} aria-label={t("alerts.delete")}>✕</button>
+          </div>
+        ))}
+      </div>
+
+      {/* Nouvelle règle */}
+      <div className="flex flex-wrap items-center gap-1.5 mb-3">
+        <select className={input} value={draft.type} onChange={e => set({ type: e.target.value })} aria-label={t("alerts.ruleType")}>
+          <option value="threshold">{t("alerts.threshold")}</option>
+          <option value="enterTop">{t("alerts.enterTop")}</option>
+        </select>
+        {draft.type === "threshold" ? (
+          <>
+            <select className={input} value={draft.metric} onChange={e => set({ metric: e.target.value })} aria-label={t("alerts.metric")}>
+              {Object.entries(ALERT_METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+            </select>
+            <select className={input} value={draft.op} onChange={e => set({ op: e.target.value })} aria-label={t("alerts.operator")}>
+              {Object.keys(ALERT_OPS).map(op => <option key={op} value={op}>{op}</option>)}
+            </select>
+            <input type="number" step="any" className={`${input} w-20`} value={draft.value} onChange={e => set({ value: +e.target.value })} aria-label={t("alerts.value")} />
+          </>
+        ) : (
+          <input type="number" min={1} className={`${input} w-14`} value={draft.n} onChange={e => set({ n: Math.max(1, +e.target.value || 1) })} aria-label="N" />
+        )}
+        <select className={input} value={draft.scope} onChange={e => set({ scope: e.target.value })} aria-label={t("alerts.scope")}>
+          <option value="all">{t("alerts.scopeAll")}</option>
+          <option value="watchlist">{t("alerts.scopeWatchlist")}</option>
+        </select>
+        <button onClick={add} className="px-2 py-1 rounded-md border border-white/10 hover:border-white/30">{t("alerts.add")}</button>
+      </div>
+
+      {/* Journal */}
+      <div className="flex items-center text-white/50 mb-1">
+        <span>{t("alerts.log", { count: log.length })}</span>
+        {!!log.length && <button onClick={onClearLog} className="ml-auto hover:text-white">{t("alerts.clear")}</button>}
+      </div>
+      <div className="max-h-40 overflow-y-auto space-y-0.5">
+        {log.slice(0, 50).map(ev => (
+          <button key={ev.id} onClick={() => onSelectToken(ev.tokenId)} className="w-full flex gap-2 text-left hover:bg-white/5 rounded px-1">
+            <span className="text-white/40 shrink-0">{fmtTime(ev.ts)}</span>
+            <span className="truncate">{ev.message}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
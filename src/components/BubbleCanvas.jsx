@@ -0,0 +1,438 @@
+import React, { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { chainInfo } from "../lib/chains.js";
+import { RISK_COLORS } from "../lib/risk.js";
+import { TRANSITION_MS, carryOver, createBubbleSim, createTooltip, radiusScale, tooltipHtml } from "../lib/bubbles.js";
+import { fmtPct, t as tr } from "../lib/i18n.js";
+import { bubbleLabel, stepIndex } from "../lib/a11y.js";
+import { getTheme, withAlpha } from "../lib/theme.js";
+import { groupCaption, groupLabelY, groupLayout, groupTargets } from "../lib/grouping.js";
+
+/**
+ * Bubble map (D3 + canvas 2D) — pour les gros volumes de tokens (voir pickRenderer)
+ * - Même simulation, même zoom / pan (zoomRef, zoomTransformRef) et même tooltip que la version SVG
+ * - Hit-testing maison pour survol, clic et drag ; un seul dessin par frame (requestAnimationFrame)
+ * - Bulle = sprite pré-rendu (dégradé du thème, refait au changement de thème) ou couleur de fill ; logos en cache (Image)
+ * - Libellés, logos et badges masqués quand la bulle est trop petite à l'écran
+ * - Clavier : le canvas est focusable, flèches / Home / End = bulle voisine (anneau dessiné), Entrée = détails ;
+ *   la bulle courante est annoncée via une région aria-live
+ * - groups (groupNodes) : une grappe par groupe, libellés dessinés sous les bulles ; null = un seul centre
+ * - Maj+clic / Maj+Entrée : ajout ou retrait de la comparaison (onCompare) ; compareIds = anneau des tokens sélectionnés
+ */
+const ICONS = new Map(); // url -> { img, ready }
+
+function iconFor(url, onLoad) {
+  let entry = ICONS.get(url);
+  if (!entry) {
+    const img = new Image();
+    entry = { img, ready: false };
+    img.onload = () => { entry.ready = true; onLoad(); };
+    img.src = url;
+    ICONS.set(url, entry);
+  }
+  return entry.ready ? entry.img : null;
+}
+
+// Dégradé des bulles rendu une fois par thème, puis redimensionné par drawImage
+function bubbleSprite(theme, size = 256) {
+  const c = document.createElement("canvas");
+  c.width = c.height = size;
+  const ctx = c.getContext("2d");
+  const grad = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  grad.addColorStop(0, withAlpha(theme.bubble[0], 0.9));
+  grad.addColorStop(1, withAlpha(theme.bubble[1], 0.6));
+  ctx.fillStyle = grad;
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+  ctx.fill();
+  return c;
+}
+
+// État animé (rayon, opacité) interpolé comme une transition d3
+function animated(d, now) {
+  const a = d.anim;
+  if (!a) return { r: 0, alpha: 0 };
+  const e = d3.easeCubic(Math.min(1, (now - a.t0) / TRANSITION_MS));
+  return { r: a.r0 + (a.r1 - a.r0) * e, alpha: a.a0 + (a.a1 - a.a0) * e };
+}
+
+export default function BubbleCanvas({ nodes, dims, timeframe, color, fill, theme, groups = null, compareIds = [], onSelect, onCompare, zoomRef, zoomTransformRef, onZoomEnd }) {
+  const canvasRef = useRef(null);
+  const sceneRef = useRef(null);
+  const liveRef = useRef(null);
+  const propsRef = useRef({});
+  propsRef.current = { nodes, timeframe, color, fill, compared: new Set(compareIds), onSelect, onCompare, onZoomEnd };
+
+  // ------------------ Scène (une fois) ------------------
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const sel = d3.select(canvas);
+    const tooltip = createTooltip();
+    const { sim, center, setNodes, stop } = createBubbleSim();
+    const scene = { sim, center, setNodes, exiting: [], size: { w: 0, h: 0 }, dpr: 1, focusId: null, hasFocus: false, sprite: null, layout: null, layoutKey: "" };
+    let frame = null;
+
+    function requestDraw() {
+      if (frame == null) frame = requestAnimationFrame(() => { frame = null; draw(); });
+    }
+
+    function drawBackground(w, h, colors) {
+      ctx.save();
+      ctx.beginPath();
+      if (ctx.roundRect) ctx.roundRect(0, 0, w, h, 12); else ctx.rect(0, 0, w, h);
+      ctx.clip();
+      ctx.translate(w / 2, 0);
+      ctx.scale(w / 2, h / 2);
+      const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+      grad.addColorStop(0, withAlpha(colors.backdrop[0], 0.18));
+      grad.addColorStop(1, withAlpha(colors.backdrop[1], 0.06));
+      ctx.fillStyle = grad;
+      ctx.fillRect(-1, 0, 2, 2);
+      ctx.restore();
+    }
+
+    function drawGroupLabels(colors) {
+      ctx.globalAlpha = 1;
+      ctx.textAlign = "center";
+      for (const g of scene.layout || []) {
+        const y = groupLabelY(g);
+        ctx.font = "700 12px ui-sans-serif, system-ui, sans-serif";
+        ctx.fillStyle = withAlpha(colors.fg, 0.85);
+        ctx.fillText(g.label, g.x, y);
+        ctx.font = "10px ui-sans-serif, system-ui, sans-serif";
+        ctx.fillStyle = withAlpha(colors.fg, 0.55);
+        ctx.fillText(groupCaption(g), g.x, y + 13);
+      }
+    }
+
+    function drawNode(d, r, alpha, k, colors) {
+      const { color, fill, compared } = propsRef.current;
+      const px = r * k; // rayon à l'écran
+      ctx.globalAlpha = alpha;
+
+      if (d.watched) {
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, r + 5, 0, Math.PI * 2);
+        ctx.setLineDash([4, 3]);
+        ctx.strokeStyle = withAlpha(colors.gold, 0.7);
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      if (compared.has(d.id)) {
+        ctx.beginPath();
+        ctx.arc(d.x, d.y, r + 3, 0, Math.PI * 2);
+        ctx.strokeStyle = colors.accent2;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+      }
+
+      ctx.beginPath();
+      ctx.arc(d.x, d.y, r, 0, Math.PI * 2);
+      if (fill) {
+        ctx.globalAlpha = alpha * 0.85;
+        ctx.fillStyle = fill(d);
+        ctx.fill();
+        ctx.globalAlpha = alpha;
+      } else {
+        ctx.drawImage(scene.sprite, d.x - r, d.y - r, r * 2, r * 2);
+      }
+      ctx.strokeStyle = d.watched ? colors.gold : colors.outline;
+      ctx.lineWidth = d.watched ? 2.5 : 1.5;
+      ctx.stroke();
+
+      // Pastille logo
+      const img = d.icon && px >= 18 ? iconFor(d.icon, requestDraw) : null;
+      if (img) {
+        const size = Math.max(16, Math.min(28, r * 0.42));
+        const cy = d.y - (r - (size / 2 + 6));
+        ctx.beginPath();
+        ctx.arc(d.x, cy, size / 2 + 2, 0, Math.PI * 2);
+        ctx.fillStyle = colors.surface;
+        ctx.fill();
+        ctx.strokeStyle = colors.accent;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(d.x, cy, size / 2, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.drawImage(img, d.x - size / 2, cy - size / 2, size, size);
+        ctx.restore();
+      }
+
+      ctx.textAlign = "center";
+      if (px >= 10) {
+        ctx.font = `600 ${Math.max(10, Math.min(16, r / 2.6))}px ui-sans-serif, system-ui, sans-serif`;
+        ctx.fillStyle = colors.ink;
+        ctx.fillText(d.symbol, d.x, d.y + 6);
+      }
+      if (px >= 14) {
+        ctx.font = `700 ${Math.max(9, r / 3.2)}px ui-sans-serif, system-ui, sans-serif`;
+        ctx.fillStyle = color(d.priceChg);
+        ctx.fillText(fmtPct(isFinite(d.priceChg) ? d.priceChg : 0), d.x, d.y + Math.min(r * 0.6, r - 6));
+
+        // Badge de chaîne (haut droite)
+        const info = chainInfo(d.chainId);
+        const bw = info.short.length * 5.2 + 8;
+        const bx = d.x + r * 0.62, by = d.y - r * 0.72;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(bx - bw / 2, by - 6, bw, 12, 6); else ctx.rect(bx - bw / 2, by - 6, bw, 12);
+        ctx.fillStyle = info.color;
+        ctx.fill();
+        ctx.strokeStyle = colors.ink;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.font = "700 8px ui-sans-serif, system-ui, sans-serif";
+        ctx.fillStyle = colors.ink;
+        ctx.fillText(info.short, bx, by + 3);
+      }
+
+      // Pastille de risque (haut gauche)
+      if (px >= 10 && d.risk?.level && d.risk.level !== "ok") {
+        const rx = d.x - r * 0.62, ry = d.y - r * 0.72;
+        ctx.beginPath();
+        ctx.arc(rx, ry, 7, 0, Math.PI * 2);
+        ctx.fillStyle = RISK_COLORS[d.risk.level];
+        ctx.fill();
+        ctx.strokeStyle = colors.ink;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.font = "700 10px ui-sans-serif, system-ui, sans-serif";
+        ctx.fillStyle = colors.ink;
+        ctx.fillText("!", rx, ry + 3.5);
+      }
+    }
+
+    function draw() {
+      const { w, h } = scene.size;
+      const t = zoomTransformRef.current;
+      const now = performance.now();
+      const colors = getTheme();
+      ctx.setTransform(scene.dpr, 0, 0, scene.dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+      drawBackground(w, h, colors);
+
+      ctx.save();
+      ctx.translate(t.x, t.y);
+      ctx.scale(t.k, t.k);
+      drawGroupLabels(colors);
+      scene.exiting = scene.exiting.filter(d => now - d.anim.t0 < TRANSITION_MS);
+      for (const d of scene.exiting) {
+        const { r, alpha } = animated(d, now);
+        drawNode(d, r, alpha, t.k, colors);
+      }
+      for (const d of sim.nodes()) {
+        const { r, alpha } = animated(d, now);
+        drawNode(d, r, alpha, t.k, colors);
+      }
+      const focused = scene.hasFocus && sim.nodes().find(d => d.id === scene.focusId);
+      if (focused) {
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(focused.x, focused.y, animated(focused, now).r + 8, 0, Math.PI * 2);
+        ctx.strokeStyle = colors.focus;
+        ctx.lineWidth = 2.5 / t.k;
+        ctx.stroke();
+      }
+      ctx.restore();
+      ctx.globalAlpha = 1;
+    }
+
+    // Hit-testing : dernière bulle dessinée (au-dessus) contenant le point écran
+    function nodeAt(px, py) {
+      const [x, y] = zoomTransformRef.current.invert([px, py]);
+      const now = performance.now();
+      const list = sim.nodes();
+      for (let i = list.length - 1; i >= 0; i--) {
+        const d = list[i];
+        const { r } = animated(d, now);
+        if ((d.x - x) ** 2 + (d.y - y) ** 2 <= r * r) return d;
+      }
+      return null;
+    }
+
+    // Drag d'une bulle (à brancher avant le zoom : sans sujet, le geste part en pan)
+    // Clic / Entrée : détails ; avec Maj : comparaison
+    function activate(event, d) {
+      const { onSelect, onCompare } = propsRef.current;
+      if (event.shiftKey && onCompare) onCompare(d);
+      else onSelect(d);
+    }
+
+    const drag = d3.drag()
+      .container(canvas)
+      .subject((event) => {
+        const d = nodeAt(event.x, event.y);
+        return d && { node: d, x: event.x, y: event.y };
+      })
+      .on("start", (event) => {
+        const d = event.subject.node;
+        if (!event.active) sim.alphaTarget(0.2).restart();
+        const [x, y] = zoomTransformRef.current.invert([event.x, event.y]);
+        event.subject.offset = [d.x - x, d.y - y];
+        d.fx = d.x;
+        d.fy = d.y;
+        tooltip.hide();
+      })
+      .on("drag", (event) => {
+        const { node: d, offset } = event.subject;
+        const [x, y] = zoomTransformRef.current.invert([event.x, event.y]);
+        d.fx = x + offset[0];
+        d.fy = y + offset[1];
+      })
+      .on("end", (event) => {
+        const d = event.subject.node;
+        if (!event.active) sim.alphaTarget(0.02);
+        d.fx = null;
+        d.fy = null;
+      });
+
+    const zoomBehavior = d3.zoom().scaleExtent([0.5, 6])
+      .on("zoom", (ev) => {
+        zoomTransformRef.current = ev.transform;
+        requestDraw();
+      })
+      .on("end", (ev) => propsRef.current.onZoomEnd?.(ev.transform));
+    sel.call(drag).call(zoomBehavior);
+    sel.call(zoomBehavior.transform, zoomTransformRef.current); // zoom restauré (URL, vue précédente)
+    zoomRef.current = { svg: sel, zoomBehavior }; // même interface que la version SVG (boutons de zoom)
+
+    sel
+      .on("mousemove", (event) => {
+        const d = nodeAt(...d3.pointer(event));
+        canvas.style.cursor = d ? "pointer" : "default";
+        if (d) tooltip.show(event, tooltipHtml(d, propsRef.current));
+        else tooltip.hide();
+      })
+      .on("mouseout", () => tooltip.hide())
+      .on("click", (event) => {
+        const d = nodeAt(...d3.pointer(event));
+        if (d) activate(event, d);
+      });
+
+    // ------------------ Clavier ------------------
+    function focusNode(d) {
+      const { nodes, timeframe } = propsRef.current;
+      scene.focusId = d.id;
+      liveRef.current.textContent = bubbleLabel(d, nodes.findIndex(n => n.id === d.id) + 1, timeframe);
+      const [x, y] = zoomTransformRef.current.apply([d.x, d.y]);
+      const box = canvas.getBoundingClientRect();
+      tooltip.show({ clientX: box.left + x, clientY: box.top + y }, tooltipHtml(d, propsRef.current));
+      requestDraw();
+    }
+
+    sel
+      .on("focus", () => {
+        const list = propsRef.current.nodes;
+        scene.hasFocus = canvas.matches(":focus-visible"); // pas d'anneau après un clic souris
+        if (!scene.hasFocus) return;
+        const d = list.find(n => n.id === scene.focusId) || list[0];
+        if (d) focusNode(d);
+      })
+      .on("blur", () => {
+        scene.hasFocus = false;
+        tooltip.hide();
+        requestDraw();
+      })
+      .on("keydown", (event) => {
+        const list = propsRef.current.nodes;
+        const i = list.findIndex(n => n.id === scene.focusId);
+        if ((event.key === "Enter" || event.key === " ") && i >= 0) {
+          event.preventDefault();
+          activate(event, list[i]);
+          return;
+        }
+        const next = stepIndex(event.key, i, list.length);
+        if (next == null) return;
+        event.preventDefault();
+        scene.hasFocus = true;
+        focusNode(list[next]);
+      });
+
+    sim.on("tick", requestDraw);
+    scene.requestDraw = requestDraw;
+    sceneRef.current = scene;
+
+    return () => {
+      stop();
+      if (frame != null) cancelAnimationFrame(frame);
+      tooltip.remove();
+      sel.on(".zoom", null).on(".drag", null).on("mousemove", null).on("mouseout", null).on("click", null)
+        .on("focus", null).on("blur", null).on("keydown", null);
+      zoomRef.current = null;
+      sceneRef.current = null;
+    };
+  }, []);
+
+  // ------------------ Dimensions (backing store à la densité de l'écran) ------------------
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(dims.w * dpr);
+    canvas.height = Math.round(dims.h * dpr);
+    scene.dpr = dpr;
+    scene.size = dims;
+    scene.center.x = dims.w / 2;
+    scene.center.y = dims.h / 2;
+    scene.sim.alpha(0.3).restart();
+    scene.requestDraw();
+  }, [dims]);
+
+  // ------------------ Thème / palette / fill : sprite refait, puis un dessin ------------------
+  useEffect(() => {
+    const scene = sceneRef.current;
+    scene.sprite = bubbleSprite(getTheme());
+    scene.requestDraw();
+  }, [theme, color, fill]);
+
+  // ------------------ Sélection comparée : un dessin ------------------
+  useEffect(() => {
+    sceneRef.current.requestDraw();
+  }, [compareIds]);
+
+  // ------------------ Données : entrées / mises à jour / sorties animées ------------------
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const { sim, center, setNodes } = scene;
+    const now = performance.now();
+    const r = radiusScale(nodes, dims);
+    const prev = carryOver(sim.nodes(), nodes, center, dims);
+    const ids = new Set(nodes.map(n => n.id));
+
+    for (const n of nodes) {
+      const p = prev.get(n.id);
+      const from = p ? animated(p, now) : { r: r(n.hype), alpha: 0 };
+      n.anim = { r0: from.r, r1: r(n.hype), a0: from.alpha, a1: 1, t0: now };
+    }
+    const leaving = [...prev.values()].filter(p => !ids.has(p.id)).map(p => {
+      const from = animated(p, now);
+      return { ...p, anim: { r0: from.r, r1: from.r, a0: from.alpha, a1: 0, t0: now } };
+    });
+    scene.exiting = scene.exiting.filter(d => !ids.has(d.id)).concat(leaving);
+
+    // Grappes (mode groupé) : libellés redessinés avec la scène, réchauffe franche si le regroupement change
+    scene.layout = groups ? groupLayout(groups, r, dims) : null;
+    const layoutKey = scene.layout ? scene.layout.map(d => d.key).join("|") : "";
+    setNodes(nodes, r, scene.layout && groupTargets(scene.layout), { reheat: layoutKey !== scene.layoutKey });
+    scene.layoutKey = layoutKey;
+    scene.requestDraw();
+  }, [nodes, dims, timeframe, groups]);
+
+  return (
+    <>
+      <canvas
+        ref={canvasRef}
+        tabIndex={0}
+        role="application"
+        aria-label={tr("a11y.canvasLabel")}
+        className="focus:outline-none"
+        style={{ width: dims.w, height: dims.h, display: "block" }}
+      />
+      <div ref={liveRef} className="sr-only" aria-live="polite" />
+    </>
+  );
+}
@@ -0,0 +1,308 @@
+import React, { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { chainInfo } from "../lib/chains.js";
+import { RISK_COLORS } from "../lib/risk.js";
+import { TRANSITION_MS, carryOver, createBubbleSim, createTooltip, radiusScale, tooltipHtml } from "../lib/bubbles.js";
+import { fmtPct, t as tr } from "../lib/i18n.js";
+import { bubbleLabel, stepIndex } from "../lib/a11y.js";
+import { getTheme, paintGradients } from "../lib/theme.js";
+import { groupCaption, groupLabelY, groupLayout, groupTargets } from "../lib/grouping.js";
+
+/**
+ * Bubble map (D3, SVG) — scène persistante
+ * - Simulation, zoom, defs et tooltip créés une seule fois ; chaque refresh fait un enter/update/exit
+ * - Les bulles existantes gardent leur position et animent rayon, couleur et libellés
+ * - Nouveaux tokens : fondu entrant ; tokens disparus : fondu sortant
+ * - Le zoom (zoomTransformRef) survit aux refresh ; zoomRef expose { svg, zoomBehavior } aux boutons
+ * - Couleurs du thème courant (getTheme) ; fill = remplissage par 2e métrique (sinon dégradé #bubble-fill)
+ * - Clavier : chaque bulle est focusable (ordre DOM = rang hype), flèches / Home / End, Entrée ou Espace = détails
+ * - groups (groupNodes) : une grappe par groupe, libellé + volume cumulé au-dessus ; null = un seul centre
+ * - Maj+clic / Maj+Entrée : ajout ou retrait de la comparaison (onCompare) ; compareIds = anneau des tokens sélectionnés
+ */
+export default function BubbleMap({ nodes, dims, timeframe, color, fill, theme, groups = null, compareIds = [], onSelect, onCompare, zoomRef, zoomTransformRef, onZoomEnd }) {
+  const svgRef = useRef(null);
+  const sceneRef = useRef(null);
+  const propsRef = useRef({});
+  propsRef.current = { nodes, timeframe, color, onSelect, onCompare, onZoomEnd };
+
+  // ------------------ Scène (une fois) ------------------
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+
+    const defs = svg.append("defs");
+    defs.append("clipPath").attr("id", "icon-clip").attr("clipPathUnits", "objectBoundingBox")
+      .append("circle").attr("cx", 0.5).attr("cy", 0.5).attr("r", 0.5);
+
+    const bg = svg.append("rect").attr("x", 0).attr("y", 0).attr("fill", "url(#bg)").attr("rx", 12);
+    const g = svg.append("g");
+    const labels = g.append("g").attr("class", "group-labels pointer-events-none select-none"); // sous les bulles
+
+    // Tooltip (désactivé sur mobile)
+    const tooltip = createTooltip();
+    const showTooltip = (event, d) => tooltip.show(event, tooltipHtml(d, propsRef.current));
+    const hideTooltip = () => tooltip.hide();
+
+    // Clic / Entrée : détails ; avec Maj : comparaison
+    function activate(event, d) {
+      const { onSelect, onCompare } = propsRef.current;
+      if (event.shiftKey && onCompare) onCompare(d);
+      else onSelect(d);
+    }
+
+    // Focus clavier : tooltip ancré sur la bulle ; flèches = bulle voisine dans le classement
+    function onFocus(event, d) {
+      const box = event.currentTarget.getBoundingClientRect();
+      showTooltip({ clientX: box.right - box.width / 4, clientY: box.bottom - box.height / 4 }, d);
+    }
+    function onKeyDown(event, d) {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        activate(event, d);
+        return;
+      }
+      const list = propsRef.current.nodes;
+      const next = stepIndex(event.key, list.findIndex(n => n.id === d.id), list.length);
+      if (next == null) return;
+      event.preventDefault();
+      g.selectAll("g.node").filter(n => n.id === list[next].id).node()?.focus();
+    }
+
+    const zoomBehavior = d3.zoom().scaleExtent([0.5, 6])
+      .on("zoom", (ev) => {
+        g.attr("transform", ev.transform);
+        zoomTransformRef.current = ev.transform;
+      })
+      .on("end", (ev) => propsRef.current.onZoomEnd?.(ev.transform));
+    svg.call(zoomBehavior);
+    svg.call(zoomBehavior.transform, zoomTransformRef.current); // zoom restauré (URL, vue précédente)
+    zoomRef.current = { svg, zoomBehavior };
+
+    const { sim, center, setNodes, stop } = createBubbleSim();
+
+    sim.on("tick", () => {
+      g.selectAll("g.node").attr("transform", d => `translate(${d.x},${d.y})`);
+    });
+
+    function drag(){
+      function dragstarted(event) {
+        if (!event.active) sim.alphaTarget(0.2).restart();
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+      }
+      function dragged(event) {
+        event.subject.fx = event.x;
+        event.subject.fy = event.y;
+      }
+      function dragended(event) {
+        if (!event.active) sim.alphaTarget(0.02);
+        event.subject.fx = null;
+        event.subject.fy = null;
+      }
+      return d3.drag().on("start", dragstarted).on("drag", dragged).on("end", dragended);
+    }
+
+    sceneRef.current = { defs, g, labels, bg, sim, center, setNodes, drag, showTooltip, hideTooltip, onFocus, onKeyDown, activate };
+
+    return () => {
+      stop();
+      tooltip.remove();
+      svg.on(".zoom", null);
+      svg.selectAll("*").remove();
+      zoomRef.current = null;
+      sceneRef.current = null;
+    };
+  }, []);
+
+  // ------------------ Dimensions ------------------
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const { w, h } = dims;
+    scene.bg.attr("width", w).attr("height", h);
+    scene.center.x = w / 2;
+    scene.center.y = h / 2;
+    scene.sim.alpha(0.3).restart();
+  }, [dims]);
+
+  // ------------------ Données : enter / update / exit ------------------
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const { defs, g, labels, sim, center, setNodes, drag, showTooltip, hideTooltip, onFocus, onKeyDown, activate } = scene;
+    const colors = getTheme();
+    const r = radiusScale(nodes, dims);
+    paintGradients(defs, colors);
+    carryOver(sim.nodes(), nodes, center, dims);
+
+    const t = d3.transition().duration(TRANSITION_MS);
+    const join = g.selectAll("g.node").data(nodes, d => d.id);
+
+    // Sortie : fondu puis suppression
+    join.exit()
+      .classed("node", false)
+      .interrupt()
+      .transition(t)
+      .style("opacity", 0)
+      .remove();
+
+    // Entrée
+    const enter = join.enter().append("g")
+      .attr("class", "node cursor-pointer")
+      .attr("tabindex", 0)
+      .attr("role", "button")
+      .attr("transform", d => `translate(${d.x},${d.y})`)
+      .style("opacity", 0)
+      .on("focus", onFocus)
+      .on("blur", hideTooltip)
+      .on("keydown", onKeyDown)
+      .call(drag());
+
+    // Anneau de focus (visible au clavier seulement, voir index.css)
+    enter.append("circle")
+      .attr("class", "focus-ring pointer-events-none")
+      .attr("fill", "none")
+      .attr("stroke-width", 2.5);
+
+    // Halo watchlist
+    enter.append("circle")
+      .attr("class", "halo pointer-events-none")
+      .attr("fill", "none")
+      .attr("stroke-width", 2).attr("stroke-opacity", 0.7)
+      .attr("stroke-dasharray", "4 3");
+
+    // Anneau comparaison
+    enter.append("circle")
+      .attr("class", "compare-ring pointer-events-none")
+      .attr("fill", "none")
+      .attr("stroke-width", 3)
+      .attr("display", "none");
+
+    enter.append("circle")
+      .attr("class", "bubble")
+      .attr("r", d => r(d.hype))
+      .on("mousemove", (e, d) => showTooltip(e, d))
+      .on("mouseout", hideTooltip)
+      .on("click", activate);
+
+    // Pastille logo (si image)
+    enter.append("circle")
+      .attr("class", "icon-ring pointer-events-none")
+      .attr("stroke-width", 1);
+    enter.append("image")
+      .attr("class", "icon pointer-events-none")
+      .attr("clip-path", "url(#icon-clip)");
+
+    // Symbole
+    enter.append("text")
+      .attr("class", "sym select-none pointer-events-none font-semibold")
+      .attr("text-anchor", "middle")
+      .attr("y", 6);
+
+    // %
+    enter.append("text")
+      .attr("class", "chg select-none pointer-events-none")
+      .attr("text-anchor", "middle")
+      .style("font-weight", 700);
+
+    // Badge de chaîne (haut droite)
+    const badge = enter.append("g").attr("class", "badge pointer-events-none");
+    badge.append("rect").attr("y", -6).attr("height", 12).attr("rx", 6).attr("stroke-width", 1);
+    badge.append("text").attr("text-anchor", "middle").attr("y", 3)
+      .style("font-size", "8px").style("font-weight", 700);
+
+    // Pastille de risque (haut gauche)
+    const riskDot = enter.append("g").attr("class", "risk pointer-events-none");
+    riskDot.append("circle").attr("r", 7).attr("stroke-width", 1);
+    riskDot.append("text").attr("text-anchor", "middle").attr("y", 3.5)
+      .style("font-size", "10px").style("font-weight", 700).text("!");
+
+    enter.transition(t).style("opacity", 1);
+
+    // Mise à jour (entrée + existants) ; select() propage la nouvelle donnée aux enfants
+    const all = enter.merge(join);
+    all.order() // ordre de tabulation = rang hype
+      .attr("aria-label", (d, i) => bubbleLabel(d, i + 1, timeframe));
+    all.select("circle.focus-ring").attr("stroke", colors.focus).transition(t).attr("r", d => r(d.hype) + 8);
+    const iconSize = d => Math.max(16, Math.min(28, r(d.hype) * 0.42));
+    const iconY = d => -(r(d.hype) - (iconSize(d) / 2 + 6));
+
+    all.select("circle.halo")
+      .attr("stroke", colors.gold)
+      .attr("display", d => (d.watched ? null : "none"))
+      .transition(t).attr("r", d => r(d.hype) + 5);
+
+    all.select("circle.compare-ring")
+      .attr("stroke", colors.accent2)
+      .transition(t).attr("r", d => r(d.hype) + 3);
+
+    all.select("circle.bubble")
+      .attr("fill", d => (fill ? fill(d) : "url(#bubble-fill)")).attr("fill-opacity", fill ? 0.85 : null)
+      .attr("stroke", d => d.watched ? colors.gold : colors.outline).attr("stroke-width", d => d.watched ? 2.5 : 1.5)
+      .transition(t).attr("r", d => r(d.hype));
+
+    all.select("circle.icon-ring")
+      .attr("fill", colors.surface).attr("stroke", colors.accent)
+      .attr("display", d => (d.icon ? null : "none"))
+      .transition(t).attr("cy", iconY).attr("r", d => iconSize(d) / 2 + 2);
+    all.select("image.icon")
+      .attr("display", d => (d.icon ? null : "none"))
+      .attr("href", d => d.icon || null)
+      .attr("xlink:href", d => d.icon || null)
+      .transition(t)
+      .attr("x", d => -iconSize(d) / 2).attr("y", d => iconY(d) - iconSize(d) / 2)
+      .attr("width", iconSize).attr("height", iconSize);
+
+    all.select("text.sym")
+      .style("fill", colors.ink)
+      .text(d => d.symbol)
+      .transition(t)
+      .style("font-size", d => `${Math.max(10, Math.min(16, r(d.hype) / 2.6))}px`);
+
+    all.select("text.chg")
+      .text(d => fmtPct(isFinite(d.priceChg) ? d.priceChg : 0))
+      .transition(t)
+      .attr("y", d => Math.min(r(d.hype) * 0.6, r(d.hype) - 6))
+      .style("font-size", d => `${Math.max(9, r(d.hype) / 3.2)}px`)
+      .style("fill", d => color(d.priceChg));
+
+    const badges = all.select("g.badge");
+    badges.transition(t).attr("transform", d => `translate(${r(d.hype) * 0.62},${-r(d.hype) * 0.72})`);
+    badges.select("rect")
+      .attr("x", d => -(chainInfo(d.chainId).short.length * 2.6 + 4))
+      .attr("width", d => chainInfo(d.chainId).short.length * 5.2 + 8)
+      .attr("fill", d => chainInfo(d.chainId).color).attr("stroke", colors.ink);
+    badges.select("text").style("fill", colors.ink).text(d => chainInfo(d.chainId).short);
+
+    const risks = all.select("g.risk").attr("display", d => (d.risk?.level && d.risk.level !== "ok" ? null : "none"));
+    risks.transition(t).attr("transform", d => `translate(${-r(d.hype) * 0.62},${-r(d.hype) * 0.72})`);
+    risks.select("circle").attr("fill", d => RISK_COLORS[d.risk?.level || "ok"]).attr("stroke", colors.ink);
+    risks.select("text").style("fill", colors.ink);
+
+    // Libellés des grappes (mode groupé)
+    const layout = groups ? groupLayout(groups, r, dims) : null;
+    const labelJoin = labels.selectAll("g.group-label").data(layout || [], d => d.key);
+    labelJoin.exit().remove();
+    const labelEnter = labelJoin.enter().append("g").attr("class", "group-label")
+      .attr("transform", d => `translate(${d.x},${groupLabelY(d)})`);
+    labelEnter.append("text").attr("class", "title").attr("text-anchor", "middle")
+      .style("font-size", "12px").style("font-weight", 700);
+    labelEnter.append("text").attr("class", "caption").attr("text-anchor", "middle").attr("y", 13)
+      .style("font-size", "10px");
+    const allLabels = labelEnter.merge(labelJoin);
+    allLabels.transition(t).attr("transform", d => `translate(${d.x},${groupLabelY(d)})`);
+    allLabels.select("text.title").attr("fill", colors.fg).attr("fill-opacity", 0.85).text(d => d.label);
+    allLabels.select("text.caption").attr("fill", colors.fg).attr("fill-opacity", 0.55).text(groupCaption);
+
+    // Simulation : mêmes forces, nouveaux nœuds, réchauffe en douceur (franchement si le regroupement change)
+    const layoutKey = layout ? layout.map(d => d.key).join("|") : "";
+    setNodes(nodes, r, layout && groupTargets(layout), { reheat: layoutKey !== scene.layoutKey });
+    scene.layoutKey = layoutKey;
+  }, [nodes, dims, timeframe, color, fill, theme, groups]);
+
+  // ------------------ Sélection comparée (sans relancer la simulation) ------------------
+  useEffect(() => {
+    const ids = new Set(compareIds);
+    sceneRef.current.g.selectAll("g.node").select("circle.compare-ring")
+      .attr("display", d => (ids.has(d.id) ? null : "none"));
+  }, [compareIds, nodes]);
+
+  return <svg ref={svgRef} width={dims.w} height={dims.h} role="group" aria-label={tr("a11y.mapLabel")} />;
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import { describeRisk } from "../lib/risk.js";
+import { fmtNum, fmtPct, fmtUsd, t } from "../lib/i18n.js";
+
+/**
+ * Miroir de la bubble map pour les lecteurs d'écran (visuellement masqué)
+ * - Mêmes tokens, même ordre (rang hype) ; données seulement, aucun élément focusable
+ */
+export default function BubbleTable({ nodes, timeframe }) {
+  return (
+    <table className="sr-only">
+      <caption>{t("a11y.tableCaption")}</caption>
+      <thead>
+        <tr>
+          <th scope="col">{t("a11y.rank")}</th>
+          <th scope="col">{t("metrics.token")}</th>
+          <th scope="col">{t("metrics.hype")}</th>
+          <th scope="col">{t("metrics.chg", { tf: timeframe })}</th>
+          <th scope="col">{t("metrics.mc")}</th>
+          <th scope="col">{t("metrics.liquidity")}</th>
+          <th scope="col">{t("metrics.risk")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {nodes.map((n, i) => (
+          <tr key={n.id}>
+            <td>{i + 1}</td>
+            <th scope="row">{n.symbol} ({n.name})</th>
+            <td>{fmtNum(n.hype, { digits: 2 })}</td>
+            <td>{fmtPct(n.priceChg)}</td>
+            <td>{n.mc ? fmtUsd(n.mc, { compact: true }) : "—"}</td>
+            <td>{fmtUsd(n.liquidity, { compact: true })}</td>
+            <td>{describeRisk(n.risk) || "—"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,11 @@
+import React from "react";
+import { chainInfo } from "../lib/chains.js";
+
+export default function ChainBadge({ chainId }) {
+  const c = chainInfo(chainId);
+  return (
+    <span className="px-1.5 rounded-full text-[9px] font-bold text-surface shrink-0" style={{ background: c.color }} title={c.label}>
+      {c.short}
+    </span>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { holdDialogFocus } from "../lib/a11y.js";
+import { FACTOR_COLORS, compareSections, factorSegments } from "../lib/compare.js";
+import { FACTORS } from "../lib/scoring.js";
+import { fmtNum, t } from "../lib/i18n.js";
+import ChainBadge from "./ChainBadge.jsx";
+
+/**
+ * Panneau de comparaison (dialogue modal) : une colonne par token sélectionné
+ * - tokens : [{ node, pair, rank }] (rank = rang hype sur le board)
+ * - Contributions des facteurs au hype score en barres empilées, à l'échelle de la plus longue barre de la sélection
+ * - Métriques du board et des 4 timeframes côte à côte ; « #k » = rang dans la sélection, le meilleur est mis en avant
+ * - Même comportement clavier que la pop-up token (focus sur « Fermer », Tab confiné, Échap)
+ */
+export default function ComparePanel({ tokens, color, onRemove, onSelect, onClose }) {
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => holdDialogFocus(dialogRef.current, closeRef.current, () => onCloseRef.current()), []);
+
+  const sections = useMemo(() => compareSections(tokens), [tokens]);
+  const bars = useMemo(() => tokens.map(({ node }) => {
+    const segments = factorSegments(node);
+    return { node, segments, total: segments.reduce((s, x) => s + x.value, 0) };
+  }), [tokens]);
+  const maxTotal = Math.max(...bars.map(b => b.total), 0) || 1;
+  const usedFactors = FACTORS.filter(f => tokens.some(x => (x.node.factors?.[f.key] || 0) > 0));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby="compare-title" tabIndex={-1}
+           className="w-full max-w-5xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-panel focus:outline-none" onClick={e => e.stopPropagation()}>
+        <div className="flex items-start gap-3 p-4 border-b border-white/10">
+          <div className="flex-1 min-w-0">
+            <h2 id="compare-title" className="font-bold text-base">{t("compare.title")}</h2>
+            <div className="text-xs text-white/50">{t("compare.subtitle", { count: tokens.length })}</div>
+          </div>
+          <button ref={closeRef} className="ml-2 p-1 rounded hover:bg-white/10" onClick={onClose} aria-label={t("detail.close")}>
+            <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+
+        {/* Contributions au hype score */}
+        <div className="p-4 border-b border-white/10 text-xs">
+          <div className="text-sm text-white/70 mb-2">{t("compare.factors")}</div>
+          <div className="space-y-1.5">
+            {bars.map(({ node, segments, total }) => (
+              <div key={node.id} className="grid grid-cols-[80px_1fr_48px] gap-2 items-center">
+                <div className="font-semibold truncate">{node.symbol}</div>
+                <div className="h-3 rounded-full bg-white/5 overflow-hidden">
+                  <div className="h-full flex" style={{ width: `${(total / maxTotal) * 100}%` }} role="img"
+                    aria-label={segments.map(s => `${s.label} ${fmtNum(s.value, { digits: 2 })}`).join(", ")}>
+                    {segments.map(s => (
+                      <div key={s.key} className="h-full" style={{ width: `${(s.value / total) * 100}%`, background: FACTOR_COLORS[s.key] }}
+                        title={`${s.label} : ${fmtNum(s.value, { digits: 3 })}`} />
+                    ))}
+                  </div>
+                </div>
+                <div className="text-right text-white/70">{fmtNum(node.hype, { digits: 2 })}</div>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-white/60">
+            {usedFactors.map(f => (
+              <span key={f.key} className="inline-flex items-center gap-1">
+                <span className="w-2.5 h-2.5 rounded-sm" style={{ background: FACTOR_COLORS[f.key] }} />{f.label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Métriques côte à côte */}
+        <div className="p-4 overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr>
+                <th scope="col" className="text-left font-normal text-white/40">{t("compare.rankHint")}</th>
+                {tokens.map(({ node }) => (
+                  <th key={node.id} scope="col" className="px-2 pb-2 text-right font-normal">
+                    <div className="inline-flex items-center gap-1">
+                      <button className="font-semibold hover:underline" onClick={() => onSelect(node)} title={t("compare.details", { symbol: node.symbol })}>{node.symbol}</button>
+                      <ChainBadge chainId={node.chainId} />
+                      <button onClick={() => onRemove(node.id)} className="text-white/40 hover:text-danger" aria-label={t("compare.remove", { symbol: node.symbol })}>✕</button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            {sections.map(section => (
+              <tbody key={section.id}>
+                <tr>
+                  <th scope="colgroup" colSpan={tokens.length + 1} className="pt-3 pb-1 text-left font-normal text-sm text-white/70 border-b border-white/10">{section.title}</th>
+                </tr>
+                {section.rows.map(row => {
+                  const contested = row.ranks.some(k => k > 1); // pas de mise en avant si tous ex aequo
+                  return (
+                    <tr key={row.id} className="border-b border-white/5">
+                      <th scope="row" className="py-1 text-left font-normal text-white/60">{row.label}</th>
+                      {row.display.map((text, i) => {
+                        const k = row.ranks[i];
+                        const best = contested && k === 1;
+                        return (
+                          <td key={tokens[i].node.id} className={`px-2 py-1 text-right whitespace-nowrap ${best ? "bg-accent/10 font-semibold" : ""}`}>
+                            <span style={row.signed && Number.isFinite(row.values[i]) ? { color: color(row.values[i]) } : undefined}>{text}</span>
+                            {k != null && <span className={`ml-1 ${best ? "text-accent" : "text-white/40"}`}>#{k}</span>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import { COMPARE_MAX } from "../lib/compare.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Barre flottante de la sélection à comparer (Maj+clic sur une bulle, case « Comparer » d'une carte du Top)
+ * - Une pastille par token (✕ = retrait) ; « Comparer » ouvre le panneau à partir de 2 tokens
+ */
+export default function CompareTray({ tokens, onRemove, onOpen, onClear }) {
+  if (!tokens.length) return null;
+  const btn = "px-2 py-1 rounded-md border border-white/10 hover:border-white/30";
+
+  return (
+    <div role="region" aria-label={t("compare.tray")}
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 max-w-[95vw] flex flex-wrap items-center gap-2 px-3 py-2 rounded-2xl border border-accent2/40 bg-panel/95 shadow-lg text-xs">
+      <span className="text-white/60">{t("compare.selection", { count: tokens.length, max: COMPARE_MAX })}</span>
+      {tokens.map(n => (
+        <span key={n.id} className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full border border-white/10 bg-surface">
+          <span className="font-semibold">{n.symbol}</span>
+          <button onClick={() => onRemove(n.id)} className="px-1 text-white/40 hover:text-danger" aria-label={t("compare.remove", { symbol: n.symbol })}>✕</button>
+        </span>
+      ))}
+      {tokens.length < 2 && <span className="text-white/40">{t("compare.hint")}</span>}
+      <button onClick={onOpen} disabled={tokens.length < 2}
+        className="px-2 py-1 rounded-md border border-accent2/60 bg-accent2/10 hover:bg-accent2/20 disabled:opacity-40 disabled:cursor-not-allowed">
+        {t("compare.open")}
+      </button>
+      <button onClick={onClear} className={btn}>{t("compare.clear")}</button>
+    </div>
+  );
+}
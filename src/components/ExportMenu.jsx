@@ -0,0 +1,35 @@
+import React, { useState } from "react";
+import { downloadBubblePng, downloadBubbleSvg, downloadCSV, downloadNodesJSON } from "../lib/exportBoard.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Boutons d'export du board : données (CSV / JSON) et image de la bubble map (SVG / PNG, avec légende)
+ */
+export default function ExportMenu({ nodes, settings, imageOptions }) {
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const btn = "px-2 py-1 rounded-md border border-white/10 hover:border-white/30 disabled:opacity-40";
+
+  async function image(kind) {
+    setBusy(kind); setError("");
+    try {
+      await (kind === "png" ? downloadBubblePng : downloadBubbleSvg)(nodes, imageOptions());
+    } catch (e) {
+      console.error(e);
+      setError(e.message || t("errors.exportFailed"));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-1 text-xs" title={error || undefined}>
+      <span className="text-white/40 mr-1">{t("export.label")}</span>
+      <button className={btn} disabled={!nodes.length} onClick={() => downloadCSV(nodes)}>CSV</button>
+      <button className={btn} disabled={!nodes.length} onClick={() => downloadNodesJSON(nodes, settings)}>JSON</button>
+      <button className={btn} disabled={!nodes.length || !!busy} onClick={() => image("svg")}>{busy === "svg" ? "…" : "SVG"}</button>
+      <button className={btn} disabled={!nodes.length || !!busy} onClick={() => image("png")}>{busy === "png" ? "…" : "PNG"}</button>
+      {error && <span className="text-danger">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from "react";
+import { feedIssues } from "../lib/feedStatus.js";
+import { formatAge } from "../lib/tokenDetail.js";
+import { t } from "../lib/i18n.js";
+
+// Bandeau au-dessus de la visualisation : refresh en échec (données affichées + âge), endpoints partiels
+export default function FeedStatus({ error, status, lastGoodAt, kept }) {
+  const [now, setNow] = useState(() => Date.now());
+  const issues = feedIssues(status);
+  const visible = !!error || issues.length > 0;
+
+  useEffect(() => {
+    if (!visible) return;
+    const id = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(id);
+  }, [visible]);
+
+  if (!visible) return null;
+  const age = lastGoodAt ? formatAge(Math.max(0, now - lastGoodAt)) : null;
+
+  return (
+    <div role="status" className={`mx-1 mb-2 p-2 rounded-xl border text-xs ${error ? "bg-red-500/10 border-red-500/30 text-red-200" : "bg-warn/10 border-warn/30 text-warn"}`}>
+      {error && (
+        <div className="font-semibold">
+          {t("feed.failed", { error })}
+          {age ? <span className="font-normal">{t("feed.staleAge", { age })}</span> : null}
+        </div>
+      )}
+      {issues.map(i => <div key={i.endpoint}>{i.text}</div>)}
+      {!error && kept > 0 && <div>{t("feed.kept", { count: kept })}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from "react";
+import { LIST_FIELDS, QUERY_FIELDS, RANGE_FIELDS, formatNumber, listOf, parseFieldValue, rangeOf, setList, setRange } from "../lib/query.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Panneau Filtres : bornes min / max par champ + DEX, écrits dans la chaîne de recherche (voir src/lib/query.js)
+ * - Saisie libre avec suffixes (50k, 5m, 2h) ; validée à la sortie du champ ou par Entrée
+ */
+export default function FilterPanel({ query, parsed, dexes, timeframe, onChange }) {
+  const activeDex = listOf(parsed, "dex");
+
+  function commit(field, bound, raw) {
+    const range = rangeOf(parsed, field);
+    const value = parseFieldValue(field, raw);
+    if (raw.trim() && value == null) return; // saisie invalide : on garde l'ancienne borne
+    onChange(setRange(query, field, { ...range, [bound]: value }));
+  }
+
+  function toggleDex(id) {
+    const next = activeDex.includes(id) ? activeDex.filter(d => d !== id) : [...activeDex, id];
+    onChange(setList(query, "dex", next));
+  }
+
+  function reset() {
+    let next = query;
+    for (const f of RANGE_FIELDS) next = setRange(next, f, { min: null, max: null });
+    onChange(setList(next, "dex", []));
+  }
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60 text-xs">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("filters.title")}</span>
+        <button onClick={reset} className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs">{t("filters.reset")}</button>
+      </div>
+      <div className="grid grid-cols-[1fr_5rem_5rem] gap-x-2 gap-y-1 items-center">
+        <div></div><div className="text-white/40">{t("filters.min")}</div><div className="text-white/40">{t("filters.max")}</div>
+        {RANGE_FIELDS.map(f => {
+          const def = QUERY_FIELDS[f];
+          const range = rangeOf(parsed, f);
+          return (
+            <React.Fragment key={f}>
+              <div className="text-white/70" title={t(`filters.hints.${def.unit}`) || undefined}>
+                {def.label}{["vol", "txns", "chg"].includes(f) ? ` ${timeframe}` : ""} <span className="text-white/30">{f}</span>
+              </div>
+              {["min", "max"].map(bound => {
+                const shown = range[bound] == null ? "" : formatNumber(range[bound], def.unit);
+                return (
+                  <input key={`${bound}-${shown}`} defaultValue={shown} placeholder="—" aria-label={`${def.label} ${t(`filters.${bound}`)}`}
+                    className="w-full bg-surface border border-white/10 rounded-md px-2 py-1"
+                    onBlur={e => { if (e.target.value !== shown) commit(f, bound, e.target.value); }}
+                    onKeyDown={e => { if (e.key === "Enter") e.currentTarget.blur(); }} />
+                );
+              })}
+            </React.Fragment>
+          );
+        })}
+      </div>
+      {dexes.length > 0 && (
+        <div className="mt-3">
+          <div className="text-white/50 mb-1">{LIST_FIELDS.dex.label}</div>
+          <div className="flex flex-wrap gap-1">
+            {dexes.map(([id, count]) => (
+              <button key={id} onClick={() => toggleDex(id)}
+                className={`px-2 py-0.5 rounded-md border ${activeDex.includes(id) ? "border-accent/60 bg-accent/10" : "border-white/10 hover:border-white/30"}`}>
+                {id} <span className="text-white/40">{count}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import { downloadJSON, readJSONFile } from "../lib/download.js";
+import { exportPortfolio, parsePortfolioImport, portfolioTotals } from "../lib/portfolio.js";
+import { fmtDateTime, fmtPct, fmtPrice, fmtUsd, t } from "../lib/i18n.js";
+import PositionForm from "./PositionForm.jsx";
+
+/**
+ * Panneau Portefeuille : positions fictives valorisées au prix du dernier refresh
+ * - positions : positions enregistrées (export) ; rows : les mêmes, valorisées (voir valuePosition) ; PnL latent, % et rang hype courant
+ * - draft : position en cours de saisie (depuis une carte du Top) ; « + » ouvre une saisie libre
+ * - Import / export JSON
+ */
+export default function PortfolioPanel({ positions, rows, color, draft, onDraft, onAdd, onRemove, onImport, onSelect }) {
+  const [status, setStatus] = useState("");
+  const fileRef = useRef(null);
+  const rootRef = useRef(null);
+  const btn = "px-2 py-1 rounded-md border border-white/10 hover:border-white/30";
+  const totals = portfolioTotals(rows);
+
+  // Saisie lancée depuis une carte : le panneau peut être hors écran
+  useEffect(() => {
+    if (draft?.ca) rootRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [draft]);
+
+  function flash(msg) {
+    setStatus(msg);
+    setTimeout(() => setStatus(""), 2000);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const list = parsePortfolioImport(await readJSONFile(file));
+      onImport(list);
+      flash(t("portfolio.imported", { count: list.length }));
+    } catch (err) {
+      flash(t("portfolio.importFailed", { error: err.message }));
+    }
+  }
+
+  return (
+    <div ref={rootRef} className="p-4 rounded-2xl border border-white/10 bg-panel/60 text-xs">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("portfolio.title")}</span>
+        <span className="ml-auto text-xs text-white/40">{t("portfolio.count", { count: rows.length })}</span>
+        <button onClick={() => onDraft(draft ? null : {})} className={`ml-2 ${btn} text-xs`} aria-expanded={!!draft} title={t("portfolio.new")}>
+          {draft ? "−" : "+"}
+        </button>
+      </div>
+
+      {draft && (
+        <div className="mb-3 p-2 rounded-lg border border-white/10 bg-surface/60">
+          <PositionForm key={draft.ca || "manual"} draft={draft} onSubmit={onAdd} onCancel={() => onDraft(null)} />
+        </div>
+      )}
+
+      {rows.length === 0 && !draft && <div className="text-white/40">{t("portfolio.empty")}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="grid grid-cols-[1fr_64px_64px_48px_24px_14px] gap-2 text-white/40">
+            <div>{t("metrics.token")}</div><div className="text-right">{t("portfolio.value")}</div><div className="text-right">{t("portfolio.pnl")}</div>
+            <div className="text-right">%</div><div className="text-right">#</div><div></div>
+          </div>
+          <div className="space-y-1">
+            {rows.map(r => (
+              <div key={r.id} className="grid grid-cols-[1fr_64px_64px_48px_24px_14px] gap-2 items-center">
+                <button className="text-left truncate hover:underline" onClick={() => onSelect(r)}
+                  title={t("portfolio.entryTitle", { price: fmtPrice(r.entryPrice), size: fmtUsd(r.size), at: fmtDateTime(r.at) })}>
+                  <span className="font-semibold">{r.symbol || `${r.ca.slice(0, 4)}…`}</span>{" "}
+                  <span className="text-white/50">{fmtPrice(r.entryPrice)} → {r.price != null ? fmtPrice(r.price) : "—"}</span>
+                </button>
+                <div className="text-right text-white/70">{r.value != null ? fmtUsd(r.value, { compact: true }) : "—"}</div>
+                <div className="text-right" style={r.pnl != null ? { color: color(r.pnlPct) } : undefined}>
+                  {r.pnl != null ? `${r.pnl >= 0 ? "+" : ""}${fmtUsd(r.pnl, { compact: true })}` : "—"}
+                </div>
+                <div className="text-right" style={r.pnlPct != null ? { color: color(r.pnlPct) } : undefined}>{r.pnlPct != null ? fmtPct(r.pnlPct, 1) : "—"}</div>
+                <div className="text-right text-white/50" title={r.rank ? undefined : t("portfolio.offBoard")}>{r.rank ?? "—"}</div>
+                <button onClick={() => onRemove(r.id)} className="text-white/40 hover:text-danger" aria-label={t("portfolio.remove", { symbol: r.symbol || r.ca })}>✕</button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 pt-2 border-t border-white/10 grid grid-cols-[1fr_64px_64px_48px_24px_14px] gap-2 font-semibold">
+            <div className="text-white/70" title={totals.missing ? t("portfolio.missing", { count: totals.missing }) : undefined}>
+              {t("portfolio.total", { invested: fmtUsd(totals.invested, { compact: true }) })}{totals.missing ? " *" : ""}
+            </div>
+            <div className="text-right">{fmtUsd(totals.value, { compact: true })}</div>
+            <div className="text-right" style={{ color: color(totals.pnlPct ?? 0) }}>{`${totals.pnl >= 0 ? "+" : ""}${fmtUsd(totals.pnl, { compact: true })}`}</div>
+            <div className="text-right" style={{ color: color(totals.pnlPct ?? 0) }}>{fmtPct(totals.pnlPct, 1)}</div>
+            <div></div><div></div>
+          </div>
+        </>
+      )}
+
+      <div className="flex items-center gap-1.5 mt-3">
+        <button onClick={() => downloadJSON(exportPortfolio(positions), t("portfolio.fileName"))} className={btn} disabled={!positions.length}>{t("portfolio.export")}</button>
+        <button onClick={() => fileRef.current?.click()} className={btn}>{t("portfolio.import")}</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        {status && <span className="ml-auto text-white/60">{status}</span>}
+      </div>
+    </div>
+  );
+}
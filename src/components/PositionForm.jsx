@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { CHAINS, DEFAULT_CHAIN, chainLabel } from "../lib/chains.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Saisie d'une position fictive (pop-up, carte du Top ou panneau Portefeuille)
+ * - draft : { ca?, chainId?, symbol?, entryPrice? } ; sans CA (saisie libre), CA et chaîne sont éditables
+ * - Date d'entrée : maintenant par défaut, modifiable (datetime-local, heure locale)
+ */
+const toLocalInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+export default function PositionForm({ draft = {}, onSubmit, onCancel }) {
+  const [ca, setCa] = useState(draft.ca || "");
+  const [chainId, setChainId] = useState(draft.chainId || DEFAULT_CHAIN);
+  const [entryPrice, setEntryPrice] = useState(draft.entryPrice ? String(draft.entryPrice) : "");
+  const [size, setSize] = useState("");
+  const [at, setAt] = useState(() => toLocalInput(Date.now()));
+  const [error, setError] = useState("");
+  const input = "w-full mt-1 bg-surface border border-white/10 rounded-md px-2 py-1";
+
+  function submit(e) {
+    e.preventDefault();
+    const position = { ca, chainId, symbol: draft.symbol || "", entryPrice: +entryPrice.replace(",", "."), size: +size.replace(",", "."), at: new Date(at).getTime() };
+    if (!ca.trim()) return setError(t("portfolio.errors.ca"));
+    if (!(position.entryPrice > 0) || !(position.size > 0)) return setError(t("portfolio.errors.amounts"));
+    onSubmit(position);
+  }
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-2 gap-2 text-xs">
+      {draft.ca ? (
+        <div className="col-span-2 text-white/60 truncate" title={draft.ca}>
+          <span className="font-semibold text-white">{draft.symbol}</span> · {chainLabel(chainId)} · {draft.ca}
+        </div>
+      ) : (
+        <>
+          <label className="col-span-2 text-white/70">{t("portfolio.ca")}
+            <input className={input} value={ca} onChange={e => setCa(e.target.value)} autoFocus />
+          </label>
+          <label className="col-span-2 text-white/70">{t("settings.chain")}
+            <select className={input} value={chainId} onChange={e => setChainId(e.target.value)}>
+              {Object.keys(CHAINS).map(id => <option key={id} value={id}>{chainLabel(id)}</option>)}
+            </select>
+          </label>
+        </>
+      )}
+      <label className="text-white/70">{t("portfolio.entryPrice")}
+        <input className={input} inputMode="decimal" value={entryPrice} onChange={e => setEntryPrice(e.target.value)} />
+      </label>
+      <label className="text-white/70">{t("portfolio.size")}
+        <input className={input} inputMode="decimal" value={size} onChange={e => setSize(e.target.value)} autoFocus={!!draft.ca} />
+      </label>
+      <label className="col-span-2 text-white/70">{t("portfolio.at")}
+        <input className={input} type="datetime-local" value={at} onChange={e => setAt(e.target.value)} />
+      </label>
+      {error && <div className="col-span-2 text-danger" role="alert">{error}</div>}
+      <div className="col-span-2 flex justify-end gap-1.5">
+        <button type="button" onClick={onCancel} className="px-2 py-1 rounded-md border border-white/10 hover:border-white/30">{t("portfolio.cancel")}</button>
+        <button type="submit" className="px-2 py-1 rounded-md border border-accent/60 bg-accent/10 hover:bg-accent/20">{t("portfolio.add")}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useRef, useState } from "react";
+import { downloadJSON, readJSONFile } from "../lib/download.js";
+import { exportPresets, parsePresetImport } from "../lib/viewState.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Panneau Vues : presets nommés (appliquer, enregistrer, supprimer, import/export JSON) + lien partageable
+ */
+export default function PresetsPanel({ presets, onApply, onSave, onDelete, onImport }) {
+  const [current, setCurrent] = useState("");
+  const [status, setStatus] = useState("");
+  const fileRef = useRef(null);
+  const btn = "px-2 py-1 rounded-md border border-white/10 hover:border-white/30";
+
+  function flash(msg) {
+    setStatus(msg);
+    setTimeout(() => setStatus(""), 2000);
+  }
+
+  function save() {
+    const name = window.prompt(t("presets.namePrompt"), current)?.trim();
+    if (!name) return;
+    onSave(name);
+    setCurrent(name);
+    flash(t("presets.saved"));
+  }
+
+  function apply(name) {
+    setCurrent(name);
+    const p = presets.find(x => x.name === name);
+    if (p) onApply(p.view);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const list = parsePresetImport(await readJSONFile(file));
+      onImport(list);
+      flash(t("presets.imported", { count: list.length }));
+    } catch (err) {
+      flash(t("presets.importFailed", { error: err.message }));
+    }
+  }
+
+  function copyLink() {
+    try {
+      navigator.clipboard.writeText(window.location.href);
+      flash(t("presets.linkCopied"));
+    } catch {}
+  }
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60 text-xs">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("presets.title")}</span>
+        <button onClick={copyLink} className={`ml-auto ${btn} text-xs`} title={t("presets.copyLinkTitle")}>
+          {t("presets.copyLink")}
+        </button>
+      </div>
+      <div className="flex items-center gap-1.5 mb-2">
+        <select
+          className="flex-1 bg-surface border border-white/10 rounded-lg p-1.5"
+          value={presets.some(p => p.name === current) ? current : ""}
+          onChange={e => apply(e.target.value)}
+          aria-label={t("presets.select")}
+        >
+          <option value="">{presets.length ? t("presets.choose") : t("presets.none")}</option>
+          {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <button onClick={save} className={btn}>{t("presets.save")}</button>
+        {presets.some(p => p.name === current) && (
+          <button onClick={() => { onDelete(current); setCurrent(""); }} className={`${btn} hover:border-red-400/50`}>{t("presets.delete")}</button>
+        )}
+      </div>
+      <div className="flex items-center gap-1.5">
+        <button onClick={() => downloadJSON(exportPresets(presets), t("presets.fileName"))} className={btn} disabled={!presets.length}>{t("presets.export")}</button>
+        <button onClick={() => fileRef.current?.click()} className={btn}>{t("presets.import")}</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        {status && <span className="ml-auto text-white/60">{status}</span>}
+      </div>
+    </div>
+  );
+}
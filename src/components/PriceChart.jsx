@@ -0,0 +1,53 @@
+import React, { useMemo } from "react";
+import * as d3 from "d3";
+import { getTheme, trendColor } from "../lib/theme.js";
+import { fmtPrice, t } from "../lib/i18n.js";
+
+/**
+ * Petite courbe de prix (SVG) sur 24h
+ * - series : [{ ts, value, estimated }] (voir priceSeries) ; points estimés = cercles creux
+ * - Bornes min / max à gauche, repères -24h / -6h / -1h en bas
+ */
+const TICKS = [["-24h", 24 * 3600e3], ["-6h", 6 * 3600e3], ["-1h", 3600e3]];
+const m = { top: 8, right: 8, bottom: 16, left: 56 };
+
+export default function PriceChart({ series = [], width = 360, height = 120, now = Date.now() }) {
+  const chart = useMemo(() => {
+    if (series.length < 2) return null;
+    const x = d3.scaleLinear().domain([now - 24 * 3600e3, now]).range([m.left, width - m.right]);
+    const [lo, hi] = d3.extent(series, d => d.value);
+    const y = d3.scaleLinear().domain(lo === hi ? [lo * 0.9, hi * 1.1] : [lo, hi]).range([height - m.bottom, m.top]).nice();
+    const line = d3.line().x(d => x(d.ts)).y(d => y(d.value)).curve(d3.curveMonotoneX);
+    const area = d3.area().x(d => x(d.ts)).y0(height - m.bottom).y1(d => y(d.value)).curve(d3.curveMonotoneX);
+    return { x, y, line: line(series), area: area(series) };
+  }, [series, width, height, now]);
+
+  if (!chart) {
+    return <div className="text-white/30 text-center py-6" style={{ width }}>{t("chart.notEnough")}</div>;
+  }
+
+  const { x, y } = chart;
+  const first = series[0].value;
+  const last = series[series.length - 1].value;
+  const stroke = trendColor(first, last);
+  const { fg, panel } = getTheme();
+
+  return (
+    <svg width={width} height={height} className="block overflow-visible">
+      <path d={chart.area} fill={stroke} fillOpacity={0.08} />
+      <path d={chart.line} fill="none" stroke={stroke} strokeWidth={1.5} strokeLinejoin="round" />
+      {series.map(d => (
+        <circle key={`${d.ts}-${d.estimated}`} cx={x(d.ts)} cy={y(d.value)} r={d.estimated ? 2.5 : 1.5}
+          fill={d.estimated ? panel : stroke} stroke={stroke} strokeWidth={1}>
+          <title>{`${fmtPrice(d.value)}${d.estimated ? t("chart.estimated") : ""}`}</title>
+        </circle>
+      ))}
+      {y.domain().map(v => (
+        <text key={v} x={m.left - 6} y={y(v) + 3} textAnchor="end" fontSize={10} fill={fg} fillOpacity={0.5}>{fmtPrice(v)}</text>
+      ))}
+      {TICKS.map(([label, ms]) => (
+        <text key={label} x={x(now - ms)} y={height - 2} textAnchor="middle" fontSize={10} fill={fg} fillOpacity={0.38}>{label}</text>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { REFRESH_INTERVALS } from "../lib/refresh.js";
+import { t } from "../lib/i18n.js";
+
+function formatDelay(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return s >= 60 ? `${Math.floor(s / 60)}m${String(s % 60).padStart(2, "0")}` : `${s}s`;
+}
+
+const intervalLabel = (s) => (s >= 60 ? `${s / 60} min` : `${s}s`);
+
+// Refresh manuel + intervalle, pause et compte à rebours du planificateur (src/lib/refresh.js)
+export default function RefreshControl({ state, onRefresh, onTogglePause, onInterval, className = "" }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!state.nextAt) return;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [state.nextAt]);
+
+  const delay = state.nextAt ? formatDelay(state.nextAt - now) : null;
+  const status = state.loading ? t("refresh.loading")
+    : state.paused ? t("refresh.paused")
+    : state.hidden ? t("refresh.hidden")
+    : delay ? (state.failures ? t("refresh.retry", { count: state.failures, delay }) : t("refresh.next", { delay }))
+    : "";
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <span className={`hidden sm:inline text-xs tabular-nums ${state.failures ? "text-warn" : "text-white/50"}`} aria-live="polite">
+        {status}
+      </span>
+      <select
+        className="bg-surface border border-white/10 rounded-lg px-2 py-2 text-sm"
+        value={state.interval}
+        onChange={e => onInterval(+e.target.value)}
+        title={t("refresh.interval")}
+        aria-label={t("refresh.interval")}
+      >
+        {REFRESH_INTERVALS.map(s => <option key={s} value={s}>{intervalLabel(s)}</option>)}
+      </select>
+      <button
+        onClick={onTogglePause}
+        className={`rounded-xl px-3 py-2 bg-raised border hover:border-white/20 ${state.paused ? "border-warn/50 text-warn" : "border-white/10"}`}
+        title={state.paused ? t("refresh.resume") : t("refresh.pause")}
+        aria-label={state.paused ? t("refresh.resume") : t("refresh.pause")}
+        aria-pressed={state.paused}
+      >
+        {state.paused ? "▶" : "⏸"}
+      </button>
+      <button
+        onClick={onRefresh}
+        className="rounded-xl px-4 py-2 bg-raised border border-white/10 hover:border-white/20"
+        aria-keyshortcuts="R"
+      >
+        {state.loading ? t("refresh.loading") : t("refresh.refresh")}
+      </button>
+    </div>
+  );
+}
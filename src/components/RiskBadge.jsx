@@ -0,0 +1,35 @@
+import React from "react";
+import { RISK_COLORS, describeRisk } from "../lib/risk.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Badge de risque (voir src/lib/risk.js)
+ * - compact : "⚠ LIQ · SELL", détail des flags en title
+ * - detailed : liste des flags avec leur explication (vue détail)
+ */
+export default function RiskBadge({ risk, detailed = false, className = "" }) {
+  if (!risk || risk.level === "ok") return null;
+  const c = RISK_COLORS[risk.level];
+
+  if (detailed) {
+    return (
+      <div className={`rounded-xl border p-3 text-xs ${className}`} style={{ borderColor: `${c}66`, background: `${c}14` }}>
+        <div className="font-semibold mb-1" style={{ color: c }}>
+          ⚠ {risk.level === "danger" ? t("risk.high") : t("risk.attention")}
+        </div>
+        <ul className="space-y-0.5 text-white/80">
+          {risk.flags.map(f => (
+            <li key={f.id}><span className="font-semibold">{f.label}</span> <span className="text-white/50">— {f.detail}</span></li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <span className={`inline-flex items-center gap-1 px-1.5 rounded-full text-[9px] font-bold border whitespace-nowrap ${className}`}
+      style={{ color: c, borderColor: `${c}80` }} title={describeRisk(risk)}>
+      ⚠ {risk.flags.map(f => f.short).join(" · ")}
+    </span>
+  );
+}
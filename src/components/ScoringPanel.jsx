@@ -0,0 +1,70 @@
+import React from "react";
+import Slider from "./Slider.jsx";
+import { BUILTIN_PROFILES, FACTORS, NORMALIZERS, normalizersFor, profileLabel } from "../lib/scoring.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Panneau "Hype score"
+ * - Profil de poids (intégré ou utilisateur), enregistrer / supprimer
+ * - Un slider + une normalisation par facteur
+ */
+export default function ScoringPanel({ weights, norms, profileName, profiles, onWeight, onNorm, onSelectProfile, onSaveProfile, onDeleteProfile, onReset }) {
+  const active = profiles[profileName];
+  const modified = !active || FACTORS.some(f =>
+    (active.weights[f.key] || 0) !== (weights[f.key] || 0) || active.norms[f.key] !== norms[f.key]);
+  const isBuiltin = !!BUILTIN_PROFILES[profileName];
+
+  function save() {
+    const name = window.prompt(t("scoring.namePrompt"), isBuiltin ? "" : profileName)?.trim();
+    if (!name) return;
+    if (BUILTIN_PROFILES[name]) { window.alert(t("scoring.builtinTaken", { name })); return; }
+    onSaveProfile(name);
+  }
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("scoring.title")} </span>
+        <button
+          onClick={onReset}
+          className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs"
+        >
+          {t("scoring.reset")}
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        <select
+          className="flex-1 bg-surface border border-white/10 rounded-lg p-1.5"
+          value={profiles[profileName] ? profileName : ""}
+          onChange={e => onSelectProfile(e.target.value)}
+          aria-label={t("scoring.profile")}
+        >
+          {!profiles[profileName] && <option value="">—</option>}
+          {Object.keys(profiles).map(name => (
+            <option key={name} value={name}>{profileLabel(name)}{BUILTIN_PROFILES[name] ? "" : " ★"}</option>
+          ))}
+        </select>
+        {modified && <span className="text-amber-200/80" title={t("scoring.modifiedTitle")}>{t("scoring.modified")}</span>}
+        <button onClick={save} className="px-2 py-1 rounded-md border border-white/10 hover:border-white/30">{t("scoring.save")}</button>
+        {!isBuiltin && profiles[profileName] && (
+          <button onClick={() => onDeleteProfile(profileName)} className="px-2 py-1 rounded-md border border-white/10 hover:border-red-400/50">{t("scoring.delete")}</button>
+        )}
+      </div>
+
+      {FACTORS.map(f => (
+        <Slider key={f.key} label={f.label} value={weights[f.key] || 0} onChange={v => onWeight(f.key, v)}>
+          <select
+            className="bg-surface border border-white/10 rounded-md p-1 text-[11px]"
+            value={norms[f.key]}
+            onChange={e => onNorm(f.key, e.target.value)}
+            aria-label={t("scoring.normalization", { factor: f.label })}
+          >
+            {normalizersFor(f).map(k => <option key={k} value={k}>{NORMALIZERS[k].label}</option>)}
+          </select>
+        </Slider>
+      ))}
+      <div className="text-xs text-white/60 mt-2">{t("scoring.tip")}</div>
+    </div>
+  );
+}
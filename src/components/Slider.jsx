@@ -0,0 +1,21 @@
+import React from "react";
+import { fmtNum } from "../lib/i18n.js";
+
+export default function Slider({ label, value, onChange, children }) {
+  return (
+    <div className={`grid ${children ? "grid-cols-[90px_1fr_40px_76px]" : "grid-cols-[90px_1fr_60px]"} items-center gap-2 py-1`}>
+      <div className="text-sm text-white/80">{label}</div>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={value}
+        onChange={e=>onChange(+e.target.value)}
+        className="w-full accent-accent"
+      />
+      <div className="text-right text-xs text-white/70">{fmtNum(value, { digits: 2 })}</div>
+      {children}
+    </div>
+  );
+}
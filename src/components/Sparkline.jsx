@@ -0,0 +1,36 @@
+import React, { useMemo } from "react";
+import * as d3 from "d3";
+import { trendColor } from "../lib/theme.js";
+import { fmtNum, fmtPct } from "../lib/i18n.js";
+
+/**
+ * Mini courbe de tendance (SVG)
+ * - series : [{ ts, value }] dans l'ordre chronologique
+ * - Couleur selon la tendance (premier → dernier point), "—" s'il manque des points
+ */
+export default function Sparkline({ series = [], width = 64, height = 18, label, format = (v) => fmtNum(v, { compact: true }) }) {
+  const path = useMemo(() => {
+    if (series.length < 2) return null;
+    const x = d3.scaleLinear().domain(d3.extent(series, d => d.ts)).range([1, width - 1]);
+    const [lo, hi] = d3.extent(series, d => d.value);
+    const y = d3.scaleLinear().domain(lo === hi ? [lo - 1, hi + 1] : [lo, hi]).range([height - 2, 2]);
+    return d3.line().x(d => x(d.ts)).y(d => y(d.value)).curve(d3.curveMonotoneX)(series);
+  }, [series, width, height]);
+
+  if (!path) {
+    return <span className="inline-block text-white/30 text-center" style={{ width }} title={label}>—</span>;
+  }
+
+  const first = series[0].value;
+  const last = series[series.length - 1].value;
+  const stroke = trendColor(first, last);
+  const delta = first ? ((last - first) / Math.abs(first)) * 100 : 0;
+  const title = `${label ? label + " : " : ""}${format(first)} → ${format(last)} (${delta >= 0 ? "+" : ""}${fmtPct(delta, 1)}, ${series.length} pts)`;
+
+  return (
+    <svg width={width} height={height} className="inline-block align-middle overflow-visible">
+      <title>{title}</title>
+      <path d={path} fill="none" stroke={stroke} strokeWidth={1.5} strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+import { t } from "../lib/i18n.js";
+
+export default function StarButton({ active, onToggle, className = "" }) {
+  return (
+    <button
+      className={`leading-none ${active ? "text-gold" : "text-white/30 hover:text-white/70"} ${className}`}
+      onClick={(e) => { e.stopPropagation(); onToggle(); }}
+      onKeyDown={(e) => e.stopPropagation()}
+      title={active ? t("star.remove") : t("star.add")}
+      aria-pressed={active}
+      aria-label={t("star.label")}
+    >
+      {active ? "★" : "☆"}
+    </button>
+  );
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import { CHG_RANGES, FILL_MODES, PALETTES, THEMES, THEME_DEFAULTS, paletteColors } from "../lib/theme.js";
+import { fmtPct, t } from "../lib/i18n.js";
+
+/**
+ * Panneau Affichage : thème, palette de la variation (aperçu + bornes), saturation et remplissage des bulles
+ * - prefs = { theme, palette, range, fill } (voir src/lib/theme.js)
+ */
+export default function ThemePanel({ prefs, onChange }) {
+  const set = (patch) => onChange({ ...prefs, ...patch });
+  const { down, neutral, up } = paletteColors(prefs.palette);
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60 text-xs">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("theme.title")}</span>
+        <button onClick={() => onChange(THEME_DEFAULTS)} className="ml-auto px-2 py-1 rounded-md border border-white/10 hover:border-white/30 text-xs">{t("theme.reset")}</button>
+      </div>
+
+      <div className="flex gap-1 mb-3" role="group" aria-label={t("theme.theme")}>
+        {Object.entries(THEMES).map(([id, theme]) => (
+          <button key={id} onClick={() => set({ theme: id })} aria-pressed={prefs.theme === id}
+            className={`flex-1 px-2 py-1 rounded-md border ${prefs.theme === id ? "border-accent/60 bg-accent/10" : "border-white/10 hover:border-white/30"}`}>
+            {theme.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-white/70">{t("theme.palette")}
+          <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-1.5" value={prefs.palette} onChange={e => set({ palette: e.target.value })}>
+            {Object.entries(PALETTES).map(([id, p]) => (
+              <option key={id} value={id}>{p.label}{p.safe ? ` · ${t("theme.colorblindSafe")}` : ""}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-white/70">{t("theme.range")}
+          <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-1.5" value={prefs.range} onChange={e => set({ range: +e.target.value })}>
+            {CHG_RANGES.map(r => <option key={r} value={r}>±{fmtPct(r, 0)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {/* Aperçu de l'échelle : baisse → neutre → hausse, saturée à ±range */}
+      <div className="mt-2" aria-hidden="true">
+        <div className="h-2 rounded-full" style={{ background: `linear-gradient(to right, ${down}, ${neutral}, ${up})` }} />
+        <div className="flex justify-between text-white/40 mt-0.5">
+          <span>{fmtPct(-prefs.range, 0)}</span><span>0</span><span>+{fmtPct(prefs.range, 0)}</span>
+        </div>
+      </div>
+
+      <label className="block mt-2 text-white/70">{t("theme.fill")}
+        <select className="w-full mt-1 bg-surface border border-white/10 rounded-lg p-1.5" value={prefs.fill} onChange={e => set({ fill: e.target.value })}>
+          {FILL_MODES.map(id => <option key={id} value={id}>{t(`theme.fills.${id}`)}</option>)}
+        </select>
+      </label>
+      <div className="mt-1 text-white/40">{t(`theme.fillHints.${prefs.fill}`)}</div>
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { holdDialogFocus } from "../lib/a11y.js";
+import { chainInfo, explorerUrl } from "../lib/chains.js";
+import { fmtNum, fmtPct, fmtPrice, fmtUsd, t } from "../lib/i18n.js";
+import { buildLinkUrl, linksFor, openLinkFor } from "../lib/links.js";
+import { computeRisk } from "../lib/risk.js";
+import { formatAge, pairAge, pairSummary, priceSeries, timeframeStats, tokenLinks } from "../lib/tokenDetail.js";
+import ChainBadge from "./ChainBadge.jsx";
+import CopyIcon from "./CopyIcon.jsx";
+import PositionForm from "./PositionForm.jsx";
+import PriceChart from "./PriceChart.jsx";
+import RiskBadge from "./RiskBadge.jsx";
+import StarButton from "./StarButton.jsx";
+import TrendRow from "./TrendRow.jsx";
+
+/**
+ * Vue détail d'un token (pop-up), ouvrable par lien : ?ca=<chaîne>:<adresse>
+ * - Toutes les paires du token (provider.fetchTokenPairs), repli sur la paire du board
+ * - Timeframes côte à côte, âge de la paire, liens du profil, courbe de prix 24h, signaux de risque
+ * - Fonctionne aussi pour un token absent du board (résumé tiré de la paire principale)
+ * - « Position » : saisie d'une position fictive au prix courant (portefeuille)
+ * - Dialogue modal : focus sur « Fermer » à l'ouverture, Tab confiné, Échap ferme, focus rendu à l'élément d'origine
+ */
+const short = (a) => (a ? `${a.slice(0,4)}…${a.slice(-4)}` : "");
+
+export default function TokenDetail({ token, node, pair, profile, provider, trend, timeframe, color, watched, onToggleWatch, onAddPosition, onClose, copiedId, onCopy, openTarget }) {
+  const [pairs, setPairs] = useState(pair ? [pair] : []);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [now, setNow] = useState(() => Date.now());
+  const [adding, setAdding] = useState(false);
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  // Focus : pris à l'ouverture, rendu à la fermeture (bulle, carte du Top, ligne du tableau…)
+  useEffect(() => holdDialogFocus(dialogRef.current, closeRef.current, () => onCloseRef.current()), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true); setError("");
+    provider.fetchTokenPairs(token.chainId, token.id)
+      .then(list => {
+        if (cancelled) return;
+        if (list.length) setPairs(list);
+        setNow(Date.now());
+      })
+      .catch(e => { if (!cancelled) setError(e.message || t("errors.unexpected")); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [provider, token.id, token.chainId]);
+
+  const main = pairs[0] || pair;
+  const info = node || pairSummary(main, timeframe);
+  const icon = info?.icon || profile?.icon || "";
+  const stats = useMemo(() => timeframeStats(main), [main]);
+  const links = useMemo(() => tokenLinks(profile, pairs), [profile, pairs]);
+  const risk = useMemo(() => node?.risk || computeRisk(main, profile), [node, main, profile]);
+  const prices = useMemo(() => priceSeries(main, trend.price, now), [main, trend.price, now]);
+
+  function copyLink(){
+    onCopy(window.location.href, "link");
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby="token-detail-title" tabIndex={-1}
+           className="w-full max-w-2xl max-h-[92vh] overflow-y-auto rounded-2xl border border-white/10 bg-panel focus:outline-none" onClick={e=>e.stopPropagation()}>
+        {/* HEADER: avatar + (symbol/name) + close */}
+        <div className="flex items-start gap-3 p-4 border-b border-white/10">
+          <div className="w-8 h-8 rounded-full overflow-hidden border border-white/10 shrink-0">
+            {icon ? (
+              <img src={icon} alt="" className="w-full h-full object-cover"/>
+            ) : (
+              <div className="w-full h-full bg-gradient-to-br from-accent to-accent2" />
+            )}
+          </div>
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center gap-2">
+              <h2 id="token-detail-title" className="font-bold text-base">{info?.symbol || short(token.id)}</h2>
+              <div className="text-xs text-white/60 truncate">{info?.name}</div>
+              <ChainBadge chainId={token.chainId} />
+              <RiskBadge risk={risk} />
+              <StarButton active={watched} onToggle={onToggleWatch} />
+              {info && (
+                <button onClick={() => setAdding(a => !a)} aria-expanded={adding}
+                  className="px-2 py-0.5 rounded-md border border-white/10 hover:border-white/30 text-xs">
+                  {t("portfolio.position")}
+                </button>
+              )}
+            </div>
+            {profile?.description && <div className="mt-1 text-xs text-white/50 line-clamp-2">{profile.description}</div>}
+          </div>
+          <button ref={closeRef} className="ml-2 p-1 rounded hover:bg-white/10" onClick={onClose} aria-label={t("detail.close")}>
+            <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+
+        {adding && info && (
+          <div className="p-4 border-b border-white/10">
+            <PositionForm
+              draft={{ ca: token.id, chainId: token.chainId, symbol: info.symbol, entryPrice: info.priceUsd }}
+              onSubmit={(position) => { onAddPosition(position); setAdding(false); }}
+              onCancel={() => setAdding(false)}
+            />
+          </div>
+        )}
+
+        {!info && (
+          <div className="p-4 text-sm text-white/60">{loading ? t("detail.loadingPairs") : error || t("detail.noPairs")}</div>
+        )}
+
+        {info && (
+          <>
+            {/* METRICS */}
+            <div className="p-4 grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.mc")}<br/><span className="font-semibold">{info.mc ? fmtUsd(info.mc) : "—"}</span></div>
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.chg", { tf: timeframe })}<br/><span className="font-semibold" style={{color: color(info.priceChg)}}>{fmtPct(isFinite(info.priceChg) ? info.priceChg : 0)}</span></div>
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.liquidity")}<br/><span className="font-semibold">{fmtUsd(info.liquidity)}</span></div>
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.vol", { tf: timeframe })}<br/><span className="font-semibold">{fmtUsd(info.vol)}</span></div>
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.txns", { tf: "1h" })}<br/><span className="font-semibold">{fmtNum(info.txnH1)}</span></div>
+              <div className="rounded-xl border border-white/10 bg-surface p-3">{t("metrics.price")}<br/><span className="font-semibold">{fmtPrice(info.priceUsd ?? 0)}</span></div>
+            </div>
+
+            {/* RISQUE */}
+            <RiskBadge risk={risk} detailed className="mx-4 mb-4" />
+
+            {/* LIENS DU PROFIL */}
+            {links.length > 0 && (
+              <div className="px-4 pb-4 flex flex-wrap gap-1.5 text-xs">
+                {links.map(l => (
+                  <a key={l.url} href={l.url} target="_blank" rel="noreferrer"
+                     className="px-2 py-1 rounded-md border border-white/10 hover:border-white/30">
+                    {l.label}
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {/* PRIX 24H */}
+            <div className="px-4 pb-4 text-xs text-white/60">
+              <div className="mb-1">{t("detail.price24h")} <span className="text-white/40">{t("detail.price24hNote")}</span></div>
+              <PriceChart series={prices} now={now} width={Math.min(600, window.innerWidth - 80)} />
+            </div>
+
+            {/* TIMEFRAMES */}
+            <div className="px-4 pb-4 text-xs">
+              <div className="mb-1 text-white/60">
+                {t("detail.timeframes", { dex: main?.dexId || "?", age: formatAge(pairAge(main, now)) })}
+              </div>
+              <table className="w-full">
+                <thead className="text-white/50">
+                  <tr>
+                    <th className="text-left font-normal py-1"></th>
+                    {stats.map(s => <th key={s.tf} className={`text-right font-normal py-1 ${s.tf === timeframe ? "text-white" : ""}`}>{s.tf}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-t border-white/5">
+                    <td className="py-1 text-white/50">{t("query.fields.chg")}</td>
+                    {stats.map(s => <td key={s.tf} className="py-1 text-right" style={{ color: color(s.chg) }}>{fmtPct(s.chg)}</td>)}
+                  </tr>
+                  <tr className="border-t border-white/5">
+                    <td className="py-1 text-white/50">{t("metrics.volume")}</td>
+                    {stats.map(s => <td key={s.tf} className="py-1 text-right">{fmtUsd(s.vol)}</td>)}
+                  </tr>
+                  <tr className="border-t border-white/5">
+                    <td className="py-1 text-white/50">{t("metrics.buys")}</td>
+                    {stats.map(s => <td key={s.tf} className="py-1 text-right text-accent">{fmtNum(s.buys)}</td>)}
+                  </tr>
+                  <tr className="border-t border-white/5">
+                    <td className="py-1 text-white/50">{t("metrics.sells")}</td>
+                    {stats.map(s => <td key={s.tf} className="py-1 text-right text-danger">{fmtNum(s.sells)}</td>)}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {/* PAIRES / DEX */}
+            <div className="px-4 pb-4 text-xs">
+              <div className="mb-1 text-white/60">
+                {t("detail.pairs", { count: pairs.length })}{loading ? t("detail.loading") : ""}{error ? ` · ${error}` : ""}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="text-white/50">
+                    <tr>
+                      <th className="text-left font-normal py-1">{t("metrics.dex")}</th>
+                      <th className="text-right font-normal py-1">{t("metrics.liquidity")}</th>
+                      <th className="text-right font-normal py-1">{t("metrics.vol", { tf: timeframe })}</th>
+                      <th className="text-right font-normal py-1">{t("detail.vol24h")}</th>
+                      <th className="text-right font-normal py-1">{t("metrics.price")}</th>
+                      <th className="text-right font-normal py-1">{t("metrics.age")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pairs.map(p => (
+                      <tr key={p.pairAddress || p.url} className="border-t border-white/5">
+                        <td className="py-1 whitespace-nowrap">
+                          <a href={p.url} target="_blank" rel="noreferrer" className="hover:underline">
+                            {p.dexId || "?"} <span className="text-white/40">{p.baseToken?.symbol}/{p.quoteToken?.symbol}</span>
+                          </a>
+                        </td>
+                        <td className="py-1 text-right">{fmtUsd(+(p.liquidity?.usd || 0))}</td>
+                        <td className="py-1 text-right">{fmtUsd(+(p.volume?.[timeframe] || 0))}</td>
+                        <td className="py-1 text-right">{fmtUsd(+(p.volume?.h24 || 0))}</td>
+                        <td className="py-1 text-right">{fmtPrice(+(p.priceUsd || 0))}</td>
+                        <td className="py-1 text-right whitespace-nowrap">{formatAge(pairAge(p, now))}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* TENDANCE (historique local) */}
+            <div className="px-4 pb-4 text-xs text-white/60">
+              <div className="mb-1">{t("detail.trend", { count: trend.hype.length })}</div>
+              <TrendRow trend={trend} width={96} height={24} />
+            </div>
+          </>
+        )}
+
+        {/* FOOTER: CA + Copy (gauche) et liens référal (droite) sur une seule ligne */}
+        <div className="p-4 border-t border-white/10 text-xs">
+          <div className="flex items-center justify-start gap-1.5 whitespace-nowrap overflow-x-auto flex-nowrap">
+            {/* GAUCHE: CA + Copy + lien partageable */}
+            <div className="flex items-center gap-1.5">
+              <a href={explorerUrl(token.chainId, token.id)} title={chainInfo(token.chainId).explorer.name} target="_blank" rel="noreferrer" className="text-blue-300 hover:underline">
+                {short(token.id)}
+              </a>
+              <button
+                className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
+                onClick={()=>onCopy(token.id)}
+              >
+                <CopyIcon className="w-3 h-3" /> {copiedId===token.id ? t("copy.copied") : t("copy.copyCa")}
+              </button>
+              <button
+                className="inline-flex items-center gap-1 px-2 py-1 rounded-md border border-white/10 hover:border-white/30"
+                onClick={copyLink} title={t("copy.linkTitle")}
+              >
+                {copiedId==="link" ? t("copy.copied") : t("copy.link")}
+              </button>
+            </div>
+            {/* DROITE: Référals */}
+            <div className="flex items-center gap-1.5">
+              {linksFor(token.chainId).map(link => (
+                <a key={link.id}
+                   className={`inline-flex items-center gap-1 px-2 py-1 rounded-md border hover:border-white/30 ${link.id === openLinkFor(token.chainId, openTarget).id ? "border-accent/40" : "border-white/10"}`}
+                   href={buildLinkUrl(link, token.id, token.chainId)} target="_blank" rel="noreferrer">
+                  {link.name}
+                </a>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import React from "react";
+import { fmtNum, fmtPrice, t } from "../lib/i18n.js";
+import Sparkline from "./Sparkline.jsx";
+
+export default function TrendRow({ trend, width = 48, height = 18 }) {
+  return (
+    <div className="mt-2 grid grid-cols-3 gap-x-2 text-[10px] text-white/50">
+      <div>{t("metrics.hype")}<br/><Sparkline series={trend.hype} width={width} height={height} label={t("metrics.hype")} format={v => fmtNum(v, { digits: 2 })} /></div>
+      <div>{t("metrics.price")}<br/><Sparkline series={trend.price} width={width} height={height} label={t("metrics.price")} format={fmtPrice} /></div>
+      <div>{t("metrics.volume")}<br/><Sparkline series={trend.vol} width={width} height={height} label={t("metrics.volume")} /></div>
+    </div>
+  );
+}
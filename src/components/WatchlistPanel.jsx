@@ -0,0 +1,46 @@
+import React from "react";
+import { fmtPct, fmtPrice, fmtUsd, t } from "../lib/i18n.js";
+import StarButton from "./StarButton.jsx";
+
+/**
+ * Panneau Watchlist : métriques live des tokens épinglés
+ * - rang = position dans le classement hype courant
+ */
+export default function WatchlistPanel({ watchlist, nodes, timeframe, color, onSelect, onToggle }) {
+  if (!watchlist.length) return null;
+  const byId = new Map(nodes.map((n, i) => [n.id, { node: n, rank: i + 1 }]));
+  const short = (a) => `${a.slice(0,4)}…${a.slice(-4)}`;
+
+  return (
+    <div className="p-4 rounded-2xl border border-white/10 bg-panel/60">
+      <div className="flex items-center text-sm text-white/70 mb-2">
+        <span>{t("watchlist.title")}</span>
+        <span className="ml-auto text-xs text-white/40">{t("watchlist.count", { count: watchlist.length })}</span>
+      </div>
+      <div className="space-y-1 text-xs">
+        <div className="grid grid-cols-[16px_1fr_52px_60px_28px] gap-2 text-white/40">
+          <div></div><div>{t("metrics.token")}</div><div className="text-right">{t("metrics.chg", { tf: timeframe })}</div><div className="text-right">{t("metrics.liq")}</div><div className="text-right">#</div>
+        </div>
+        {watchlist.map(ca => {
+          const hit = byId.get(ca);
+          const n = hit?.node;
+          return (
+            <div key={ca} className="grid grid-cols-[16px_1fr_52px_60px_28px] gap-2 items-center">
+              <StarButton active onToggle={() => onToggle(ca)} />
+              {n ? (
+                <button className="text-left truncate hover:underline" onClick={() => onSelect(n)} title={n.name}>
+                  <span className="font-semibold">{n.symbol}</span> <span className="text-white/50">{fmtPrice(n.priceUsd)}</span>
+                </button>
+              ) : (
+                <div className="truncate text-white/40" title={ca}>{short(ca)} · {t("watchlist.noData")}</div>
+              )}
+              <div className="text-right" style={n ? { color: color(n.priceChg) } : undefined}>{n ? fmtPct(n.priceChg, 1) : "—"}</div>
+              <div className="text-right text-white/70">{n ? fmtUsd(n.liquidity, { compact: true }) : "—"}</div>
+              <div className="text-right text-white/50">{hit ? hit.rank : "—"}</div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
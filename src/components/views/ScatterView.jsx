@@ -0,0 +1,99 @@
+import React, { useEffect, useRef, useState } from "react";
+import * as d3 from "d3";
+import { fmtNum, fmtPct, fmtUsd, t } from "../../lib/i18n.js";
+import { getTheme } from "../../lib/theme.js";
+
+/**
+ * Nuage de points (D3) : X = liquidité / MC / volume (log), Y = variation de prix (symlog), taille = hype
+ * - Zone ombrée : forte hausse sur faible liquidité (pumps que la bubble map noie)
+ */
+const X_METRICS = {
+  liquidity: { label: "metrics.liquidity", value: n => n.liquidity },
+  mc: { label: "metrics.mc", value: n => n.mc },
+  vol: { label: "metrics.volume", value: n => n.vol },
+};
+const PUMP_LIQ = 50000; // $
+const PUMP_CHG = 20;    // %
+
+export default function ScatterView({ nodes, dims, timeframe, color, onSelect }) {
+  const svgRef = useRef(null);
+  const [xKey, setXKey] = useState("liquidity");
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    const { w, h } = dims;
+    const colors = getTheme();
+    const m = { top: 16, right: 16, bottom: 36, left: 52 };
+    const metric = X_METRICS[xKey];
+    const label = t(metric.label);
+    const xv = n => Math.max(1, metric.value(n) || 0);
+
+    const x = d3.scaleLog()
+      .domain(d3.extent(nodes.length ? nodes.map(xv) : [1, 1e6]))
+      .range([m.left, w - m.right]).nice().clamp(true);
+    const yMax = d3.max(nodes, n => Math.abs(n.priceChg)) || 50;
+    const y = d3.scaleSymlog().constant(5).domain([-yMax, yMax]).range([h - m.bottom, m.top]).nice();
+    const yLim = y.domain()[1];
+    const r = d3.scaleSqrt().domain([0, d3.max(nodes, n => n.hype) || 1]).range([3, 18]);
+
+    // Zone "pump faible liquidité"
+    if (xKey === "liquidity" && x.domain()[0] < PUMP_LIQ) {
+      svg.append("rect")
+        .attr("x", m.left).attr("y", m.top)
+        .attr("width", Math.max(0, x(PUMP_LIQ) - m.left)).attr("height", Math.max(0, y(PUMP_CHG) - m.top))
+        .attr("fill", colors.danger).attr("fill-opacity", 0.08);
+      svg.append("text")
+        .attr("x", m.left + 6).attr("y", m.top + 14)
+        .style("font-size", "10px").style("fill", colors.danger).style("fill-opacity", 0.8)
+        .text(t("viz.pumpZone", { liq: fmtUsd(PUMP_LIQ, { compact: true }) }));
+    }
+
+    svg.append("g").attr("transform", `translate(0,${h - m.bottom})`)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(x.tickFormat(6, v => fmtUsd(v, { compact: true }))))
+      .call(g => g.selectAll("text").style("fill", colors.fg).style("fill-opacity", 0.6))
+      .call(g => g.selectAll("line,path").style("stroke", colors.fg).style("stroke-opacity", 0.2));
+    svg.append("g").attr("transform", `translate(${m.left},0)`)
+      .call(d3.axisLeft(y).tickValues([...new Set([-yLim, -100, -20, -5, 0, 5, 20, 100, yLim])].filter(v => Math.abs(v) <= yLim)).tickFormat(d => fmtPct(d, 0)))
+      .call(g => g.selectAll("text").style("fill", colors.fg).style("fill-opacity", 0.6))
+      .call(g => g.selectAll("line,path").style("stroke", colors.fg).style("stroke-opacity", 0.2));
+    svg.append("line")
+      .attr("x1", m.left).attr("x2", w - m.right).attr("y1", y(0)).attr("y2", y(0))
+      .attr("stroke", colors.fg).attr("stroke-opacity", 0.13).attr("stroke-dasharray", "3 3");
+
+    svg.append("text").attr("x", w - m.right).attr("y", h - 4).attr("text-anchor", "end")
+      .style("font-size", "11px").style("fill", colors.fg).style("fill-opacity", 0.5).text(t("viz.logAxis", { metric: label }));
+    svg.append("text").attr("x", 4).attr("y", m.top - 4)
+      .style("font-size", "11px").style("fill", colors.fg).style("fill-opacity", 0.5).text(t("metrics.chg", { tf: timeframe }));
+
+    const dot = svg.append("g").selectAll("g").data([...nodes].sort((a, b) => b.hype - a.hype), d => d.id).join("g")
+      .attr("class", "cursor-pointer")
+      .attr("transform", d => `translate(${x(xv(d))},${y(d.priceChg)})`)
+      .on("click", (_, d) => onSelect(d));
+    dot.append("circle")
+      .attr("r", d => r(d.hype))
+      .attr("fill", d => color(d.priceChg)).attr("fill-opacity", 0.75)
+      .attr("stroke", d => d.watched ? colors.gold : colors.outline).attr("stroke-width", d => d.watched ? 2 : 1);
+    dot.append("title")
+      .text(d => `${d.symbol} · ${label} ${fmtUsd(metric.value(d) || 0)} · ${t("metrics.chg", { tf: timeframe })} ${fmtPct(d.priceChg)} · ${t("metrics.hype")} ${fmtNum(d.hype, { digits: 2 })}`);
+    dot.filter((_, i) => i < 12).append("text")
+      .attr("y", d => -r(d.hype) - 3).attr("text-anchor", "middle")
+      .attr("class", "select-none pointer-events-none")
+      .style("font-size", "10px").style("fill", colors.fg).style("fill-opacity", 0.8)
+      .text(d => d.symbol);
+  }, [nodes, dims, xKey, timeframe, color]);
+
+  return (
+    <div className="relative">
+      <svg ref={svgRef} width={dims.w} height={dims.h} />
+      <div className="absolute right-3 top-3 flex gap-1 text-xs">
+        {Object.entries(X_METRICS).map(([k, mt]) => (
+          <button key={k} onClick={() => setXKey(k)}
+            className={`px-2 py-1 rounded-md border bg-surface/80 ${xKey === k ? "border-accent/60" : "border-white/10 hover:border-white/30"}`}>
+            {t(mt.label)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as d3 from "d3";
+import { fmtNum, fmtPct, fmtPrice, fmtUsd, t } from "../../lib/i18n.js";
+
+/**
+ * Tableau triable et paginé de toutes les métriques des nœuds
+ */
+const PAGE_SIZE = 25;
+
+export default function TableView({ nodes, timeframe, color, onSelect }) {
+  const [sort, setSort] = useState({ key: "hype", dir: -1 });
+  const [page, setPage] = useState(0);
+
+  const rank = useMemo(() => new Map(nodes.map((n, i) => [n.id, i + 1])), [nodes]);
+  const columns = [
+    { key: "rank", label: "#", value: n => rank.get(n.id), render: v => v },
+    { key: "symbol", label: t("metrics.token"), value: n => n.symbol.toLowerCase(), render: (_, n) => <><span className="font-semibold">{n.symbol}</span> <span className="text-white/40">{n.name}</span></> },
+    { key: "chainId", label: t("metrics.chain"), value: n => n.chainId, render: v => v },
+    { key: "hype", label: t("metrics.hype"), value: n => n.hype, render: v => fmtNum(v, { digits: 3 }) },
+    { key: "priceUsd", label: t("metrics.price"), value: n => n.priceUsd, render: v => fmtPrice(v) },
+    { key: "priceChg", label: t("metrics.chg", { tf: timeframe }), value: n => n.priceChg, render: v => <span style={{ color: color(v) }}>{fmtPct(v)}</span> },
+    { key: "priceChgH1", label: t("metrics.chg", { tf: "1h" }), value: n => n.priceChgH1, render: v => <span style={{ color: color(v) }}>{fmtPct(v)}</span> },
+    { key: "vol", label: t("metrics.vol", { tf: timeframe }), value: n => n.vol, render: v => fmtUsd(v) },
+    { key: "txn", label: t("metrics.txns", { tf: timeframe }), value: n => n.txn, render: v => fmtNum(v) },
+    { key: "liquidity", label: t("metrics.liquidity"), value: n => n.liquidity, render: v => fmtUsd(v) },
+    { key: "mc", label: t("metrics.mc"), value: n => n.mc, render: v => (v ? fmtUsd(v) : "—") },
+    { key: "boost", label: t("metrics.boost"), value: n => n.boost, render: v => v || 0 },
+  ];
+  const col = columns.find(c => c.key === sort.key) || columns[0];
+
+  const rows = useMemo(() => {
+    const cmp = (a, b) => d3.ascending(col.value(a), col.value(b)) * sort.dir;
+    return [...nodes].sort(cmp);
+  }, [nodes, sort, timeframe]);
+
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  useEffect(() => { if (page >= pages) setPage(pages - 1); }, [pages]);
+
+  function toggleSort(key) {
+    setSort(s => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === "symbol" || key === "rank" || key === "chainId" ? 1 : -1 }));
+    setPage(0);
+  }
+
+  return (
+    <div className="text-xs">
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="text-white/50">
+            <tr>
+              {columns.map(c => (
+                <th key={c.key} className={`py-2 px-2 font-normal whitespace-nowrap ${c.key === "symbol" || c.key === "chainId" ? "text-left" : "text-right"}`}>
+                  <button onClick={() => toggleSort(c.key)} className="hover:text-white" aria-sort={sort.key === c.key ? (sort.dir > 0 ? "ascending" : "descending") : "none"}>
+                    {c.label}{sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(n => (
+              <tr key={n.id} onClick={() => onSelect(n)} className={`border-t border-white/5 hover:bg-white/5 cursor-pointer ${n.watched ? "bg-gold/5" : ""}`}>
+                {columns.map(c => (
+                  <td key={c.key} className={`py-1.5 px-2 whitespace-nowrap ${c.key === "symbol" || c.key === "chainId" ? "text-left max-w-[180px] truncate" : "text-right"}`}>
+                    {c.render(c.value(n), n)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center justify-end gap-2 px-2 py-2 text-white/60">
+        <button onClick={() => setPage(p => Math.max(0, p - 1))} disabled={page === 0} className="px-2 py-1 rounded-md border border-white/10 disabled:opacity-30" aria-label={t("viz.prevPage")}>‹</button>
+        <span>{t("viz.page", { page: page + 1, pages })}</span>
+        <button onClick={() => setPage(p => Math.min(pages - 1, p + 1))} disabled={page >= pages - 1} className="px-2 py-1 rounded-md border border-white/10 disabled:opacity-30" aria-label={t("viz.nextPage")}>›</button>
+      </div>
+    </div>
+  );
+}
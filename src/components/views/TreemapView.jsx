@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from "react";
+import * as d3 from "d3";
+import { fmtNum, fmtPct, fmtUsd, t } from "../../lib/i18n.js";
+import { getTheme } from "../../lib/theme.js";
+
+/**
+ * Treemap (D3) : surface = hype ou volume, couleur = variation de prix
+ */
+const SIZE_BY = {
+  hype: { label: "metrics.hype", value: n => n.hype },
+  vol: { label: "metrics.volume", value: n => n.vol },
+};
+
+export default function TreemapView({ nodes, dims, timeframe, color, onSelect }) {
+  const svgRef = useRef(null);
+  const [sizeBy, setSizeBy] = useState("hype");
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    const { w, h } = dims;
+    const colors = getTheme();
+    const metric = SIZE_BY[sizeBy];
+
+    const root = d3.hierarchy({ children: nodes })
+      .sum(d => (d.children ? 0 : Math.max(0, metric.value(d) || 0)))
+      .sort((a, b) => b.value - a.value);
+    d3.treemap().size([w, h]).paddingInner(2).round(true)(root);
+
+    const cell = svg.selectAll("g.cell").data(root.leaves(), d => d.data.id).join("g")
+      .attr("class", "cell cursor-pointer")
+      .attr("transform", d => `translate(${d.x0},${d.y0})`)
+      .on("click", (_, d) => onSelect(d.data));
+
+    cell.append("rect")
+      .attr("width", d => Math.max(0, d.x1 - d.x0))
+      .attr("height", d => Math.max(0, d.y1 - d.y0))
+      .attr("rx", 4)
+      .attr("fill", d => color(d.data.priceChg))
+      .attr("fill-opacity", 0.85)
+      .attr("stroke", d => d.data.watched ? colors.gold : colors.outline)
+      .attr("stroke-width", d => d.data.watched ? 2 : 1);
+
+    cell.append("title")
+      .text(d => `${d.data.symbol} · ${t(metric.label)} ${sizeBy === "vol" ? fmtUsd(d.value) : fmtNum(d.value, { digits: 3 })} · ${t("metrics.chg", { tf: timeframe })} ${fmtPct(d.data.priceChg)}`);
+
+    // Libellés seulement si la case est assez grande
+    const big = cell.filter(d => d.x1 - d.x0 > 44 && d.y1 - d.y0 > 28);
+    big.append("text")
+      .attr("x", 6).attr("y", 16)
+      .attr("class", "select-none pointer-events-none font-semibold")
+      .style("font-size", d => `${Math.max(10, Math.min(18, (d.x1 - d.x0) / 6))}px`)
+      .style("fill", colors.ink)
+      .text(d => d.data.symbol);
+    big.filter(d => d.y1 - d.y0 > 44).append("text")
+      .attr("x", 6).attr("y", 32)
+      .attr("class", "select-none pointer-events-none")
+      .style("font-size", "11px")
+      .style("fill", colors.ink)
+      .text(d => fmtPct(d.data.priceChg, 1));
+  }, [nodes, dims, sizeBy, timeframe, color]);
+
+  return (
+    <div className="relative">
+      <svg ref={svgRef} width={dims.w} height={dims.h} />
+      <div className="absolute right-3 top-3 flex gap-1 text-xs">
+        {Object.entries(SIZE_BY).map(([k, m]) => (
+          <button key={k} onClick={() => setSizeBy(k)}
+            className={`px-2 py-1 rounded-md border bg-surface/80 ${sizeBy === k ? "border-accent/60" : "border-white/10 hover:border-white/30"}`}>
+            {t(m.label)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+/**
+ * Accessibilité clavier / lecteur d'écran
+ * - bubbleLabel : libellé lu pour une bulle (rang, symbole, hype, variation, risque)
+ * - stepIndex : navigation aux flèches / Home / End dans l'ordre du classement hype (boucle aux extrémités)
+ * - trapTab : garde le focus dans une modale (Tab / Maj+Tab) ; holdDialogFocus : focus initial, Échap, focus rendu à la fermeture
+ * - shortcutFor : raccourcis globaux (zoom, refresh, timeframe), ignorés pendant une saisie
+ */
+import { fmtNum, fmtPct, t } from "./i18n.js";
+
+export function bubbleLabel(d, rank, timeframe) {
+  const label = t("a11y.bubble", {
+    rank, symbol: d.symbol, name: d.name, hype: fmtNum(d.hype, { digits: 2 }), chg: fmtPct(d.priceChg), tf: timeframe,
+  });
+  const risk = d.risk?.level === "danger" ? t("risk.high") : d.risk?.level === "warn" ? t("risk.attention") : "";
+  return [label, d.watched && t("star.label"), risk].filter(Boolean).join(", ");
+}
+
+// → nouvel index, ou null si la touche n'est pas une touche de navigation
+export function stepIndex(key, i, count) {
+  if (!count) return null;
+  switch (key) {
+    case "ArrowRight": case "ArrowDown": return (i + 1) % count;
+    case "ArrowLeft": case "ArrowUp": return (i - 1 + count) % count;
+    case "Home": return 0;
+    case "End": return count - 1;
+    default: return null;
+  }
+}
+
+const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+
+export function focusableIn(el) {
+  return el ? [...el.querySelectorAll(FOCUSABLE)].filter(x => x.offsetParent !== null || x === document.activeElement) : [];
+}
+
+// À appeler sur keydown (Tab) dans la modale
+export function trapTab(event, container) {
+  if (event.key !== "Tab") return;
+  const items = focusableIn(container);
+  if (!items.length) { event.preventDefault(); container.focus(); return; }
+  const first = items[0];
+  const last = items[items.length - 1];
+  const inside = container.contains(document.activeElement);
+  if (event.shiftKey && (document.activeElement === first || !inside)) { event.preventDefault(); last.focus(); }
+  else if (!event.shiftKey && (document.activeElement === last || !inside)) { event.preventDefault(); first.focus(); }
+}
+
+// Dialogue modal : focus sur `first` à l'ouverture, Tab confiné, Échap → onEscape()
+// → fonction de nettoyage (à retourner depuis useEffect) qui rend le focus à l'élément d'origine
+export function holdDialogFocus(container, first, onEscape) {
+  const opener = document.activeElement;
+  first?.focus();
+  function onKey(e) {
+    if (e.key === "Escape") { e.preventDefault(); onEscape(); }
+    else trapTab(e, container);
+  }
+  document.addEventListener("keydown", onKey);
+  return () => {
+    document.removeEventListener("keydown", onKey);
+    if (opener?.isConnected) opener.focus();
+  };
+}
+
+// ------------------ Raccourcis ------------------
+export const TIMEFRAME_KEYS = { 1: "m5", 2: "h1", 3: "h6", 4: "h24" };
+
+function isEditable(el) {
+  return !!el && (el.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(el.tagName));
+}
+
+// → { action: "zoomIn" | "zoomOut" | "zoomReset" | "refresh" | "timeframe", value? } ou null
+export function shortcutFor(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey || isEditable(event.target)) return null;
+  const k = event.key;
+  if (k === "+" || k === "=") return { action: "zoomIn" };
+  if (k === "-" || k === "_") return { action: "zoomOut" };
+  if (k === "0") return { action: "zoomReset" };
+  if (k === "r" || k === "R") return { action: "refresh" };
+  if (TIMEFRAME_KEYS[k]) return { action: "timeframe", value: TIMEFRAME_KEYS[k] };
+  return null;
+}
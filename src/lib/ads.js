@@ -0,0 +1,78 @@
+/**
+ * Campagnes pub du bandeau (src/config/ads.json)
+ * - Campagne : { id, label, brand, href, note?, emoji?, weight, start?, end?, deepLink?, targeting? }
+ *   start / end : dates ISO (fin exclue) ; targeting : { chains?: [...], requiresSelection?: bool }
+ *   deepLink : id du registre de liens → lien vers le CA sélectionné quand il y en a un
+ * - Rotation pondérée par weight ; impressions / clics comptés en localStorage (total + par jour)
+ */
+import registry from "../config/ads.json";
+import { buildLinkUrl, getLink, supportsChain } from "./links.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+export const ADS = registry.map(ad => ({ weight: 1, ...ad }));
+
+export function isScheduled(ad, now = Date.now()) {
+  if (ad.start && now < Date.parse(ad.start)) return false;
+  if (ad.end && now >= Date.parse(ad.end)) return false;
+  return true;
+}
+
+export function isTargeted(ad, { selectedCA, chainId } = {}) {
+  const t = ad.targeting || {};
+  if (t.requiresSelection && !selectedCA) return false;
+  // Ciblage chaîne : seulement quand un token est sélectionné (sinon pub générique)
+  if (t.chains && selectedCA && chainId && !t.chains.includes(chainId)) return false;
+  return true;
+}
+
+export function eligibleAds(ads, ctx = {}) {
+  const now = ctx.now ?? Date.now();
+  return ads.filter(ad => ad.weight > 0 && isScheduled(ad, now) && isTargeted(ad, ctx));
+}
+
+export function adHref(ad, { selectedCA, chainId = "solana" } = {}) {
+  const link = ad.deepLink && getLink(ad.deepLink);
+  if (link && selectedCA && supportsChain(link, chainId)) return buildLinkUrl(link, selectedCA, chainId);
+  return ad.href;
+}
+
+// Tirage pondéré, en évitant de ré-afficher la même pub si possible
+export function pickWeighted(ads, excludeId, rand = Math.random) {
+  const pool = ads.length > 1 ? ads.filter(a => a.id !== excludeId) : ads;
+  const total = pool.reduce((s, a) => s + a.weight, 0);
+  let x = rand() * total;
+  for (const a of pool) {
+    x -= a.weight;
+    if (x < 0) return a;
+  }
+  return pool[pool.length - 1] || null;
+}
+
+// ------------------ Analytics locales ------------------
+const day = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+export function loadAdStats() {
+  return readJSON("ads.stats", {});
+}
+
+function bump(id, field, now = Date.now()) {
+  const stats = loadAdStats();
+  const s = stats[id] || { impressions: 0, clicks: 0, days: {} };
+  s[field] += 1;
+  const d = (s.days[day(now)] = s.days[day(now)] || { impressions: 0, clicks: 0 });
+  d[field] += 1;
+  stats[id] = s;
+  writeJSON("ads.stats", stats);
+  return stats;
+}
+
+export const recordImpression = (id) => bump(id, "impressions");
+export const recordClick = (id) => bump(id, "clicks");
+
+export function resetAdStats() {
+  writeJSON("ads.stats", {});
+}
+
+export function ctr(s) {
+  return s?.impressions ? s.clicks / s.impressions : 0;
+}
@@ -0,0 +1,151 @@
+/**
+ * Moteur d'alertes (évalué après chaque refresh)
+ * - Règles : seuil sur une métrique ("threshold") ou entrée dans le top N ("enterTop")
+ * - Déclenchement sur front montant : une règle ne re-sonne pour un token qu'après être redevenue fausse
+ * - Première évaluation d'une règle = état de référence, sans déclenchement (pas de rafale au chargement)
+ * - Règles et journal persistés en localStorage ; notifications Web + bip WebAudio
+ */
+import { readJSON, writeJSON } from "./storage.js";
+import { fmtNum, fmtUsd, t } from "./i18n.js";
+
+export const ALERT_LOG_MAX = 200;
+
+export const ALERT_METRICS = {
+  hype:       { get: n => n.hype,       fmt: v => fmtNum(v, { digits: 2 }) },
+  priceChg:   { get: n => n.priceChg,   fmt: v => `${fmtNum(v, { digits: 1 })}%` },
+  priceChgH1: { get: n => n.priceChgH1, fmt: v => `${fmtNum(v, { digits: 1 })}%` },
+  liquidity:  { get: n => n.liquidity,  fmt: v => fmtUsd(v) },
+  vol:        { get: n => n.vol,        fmt: v => fmtUsd(v) },
+  mc:         { get: n => n.mc,         fmt: v => fmtUsd(v) },
+  txn:        { get: n => n.txn,        fmt: v => fmtNum(v) },
+  boost:      { get: n => n.boost,      fmt: v => fmtNum(v) },
+};
+for (const [k, m] of Object.entries(ALERT_METRICS)) Object.defineProperty(m, "label", { enumerable: true, get: () => t(`alerts.metrics.${k}`) });
+
+export const ALERT_OPS = {
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+};
+
+export function newRule(partial = {}) {
+  return {
+    id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    enabled: true,
+    type: "threshold",
+    metric: "hype",
+    op: ">",
+    value: 0.7,
+    n: 10,
+    scope: "all",      // all | watchlist
+    notify: true,
+    sound: false,
+    ...partial,
+  };
+}
+
+export function describeRule(rule) {
+  const scope = rule.scope === "watchlist" ? ` (${t("alerts.scopeWatchlist")})` : "";
+  if (rule.type === "enterTop") return t("alerts.describeTop", { n: rule.n, scope });
+  const m = ALERT_METRICS[rule.metric];
+  return `${m?.label || rule.metric} ${rule.op} ${rule.value}${scope}`;
+}
+
+function matches(rule, nodes, watched) {
+  const pool = rule.scope === "watchlist" ? nodes.filter(n => watched.has(n.id)) : nodes;
+  if (rule.type === "enterTop") {
+    // rang global (nodes est trié par hype), filtré ensuite par scope
+    const top = new Set(nodes.slice(0, rule.n).map(n => n.id));
+    return pool.filter(n => top.has(n.id));
+  }
+  const m = ALERT_METRICS[rule.metric];
+  const op = ALERT_OPS[rule.op];
+  if (!m || !op) return [];
+  return pool.filter(n => op(+m.get(n) || 0, +rule.value));
+}
+
+function message(rule, n, rank) {
+  if (rule.type === "enterTop") return t("alerts.messageTop", { symbol: n.symbol, n: rule.n, rank });
+  const m = ALERT_METRICS[rule.metric];
+  return `${n.symbol} : ${m.label} ${m.fmt(+m.get(n) || 0)} ${rule.op} ${rule.value}`;
+}
+
+/**
+ * state : { [ruleId]: [tokenIds qui matchaient au refresh précédent] }
+ * → { events, state } ; events dans l'ordre des règles
+ */
+export function evaluateRules(rules, nodes, state = {}, { watchlist = [], now = Date.now() } = {}) {
+  const watched = new Set(watchlist);
+  const rank = new Map(nodes.map((n, i) => [n.id, i + 1]));
+  const events = [];
+  const next = {};
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const hits = matches(rule, nodes, watched);
+    next[rule.id] = hits.map(n => n.id);
+    const prev = state[rule.id];
+    if (!prev) continue;
+    const before = new Set(prev);
+    for (const n of hits) {
+      if (before.has(n.id)) continue;
+      events.push({ id: `${now}-${rule.id}-${n.id}`, ts: now, ruleId: rule.id, tokenId: n.id, symbol: n.symbol, message: message(rule, n, rank.get(n.id)) });
+    }
+  }
+  return { events, state: next };
+}
+
+// ------------------ Persistance ------------------
+export function loadRules() {
+  const rules = readJSON("alerts.rules", []);
+  return Array.isArray(rules) ? rules.map(r => newRule(r)) : [];
+}
+
+export function saveRules(rules) {
+  writeJSON("alerts.rules", rules);
+}
+
+export function loadAlertLog() {
+  const log = readJSON("alerts.log", []);
+  return Array.isArray(log) ? log : [];
+}
+
+export function saveAlertLog(log) {
+  writeJSON("alerts.log", log.slice(0, ALERT_LOG_MAX));
+}
+
+// ------------------ Sorties ------------------
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+export function notify(event) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  try {
+    new Notification("Trench Board", { body: event.message, tag: event.id, icon: "/favicon.png" });
+  } catch (e) {
+    console.warn("Notification impossible :", e.message);
+  }
+}
+
+let audioCtx = null;
+export function beep() {
+  try {
+    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = "sine";
+    osc.frequency.value = 880;
+    gain.gain.setValueAtTime(0.15, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.25);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start();
+    osc.stop(audioCtx.currentTime + 0.25);
+  } catch (e) {
+    console.warn("Son indisponible :", e.message);
+  }
+}
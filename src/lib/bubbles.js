@@ -0,0 +1,124 @@
+/**
+ * Bubble map : logique commune aux rendus SVG (BubbleMap) et canvas (BubbleCanvas)
+ * - Échelle des rayons, simulation persistante (collision + dérive du centre), reprise des positions
+ * - Mode groupé : chaque nœud est attiré vers le centre de sa grappe (targets, voir src/lib/grouping.js)
+ * - Tooltip HTML partagé (désactivé sur mobile)
+ * - Choix du rendu : canvas au-delà de CANVAS_THRESHOLD nœuds, forçable via ?renderer=svg|canvas
+ */
+import * as d3 from "d3";
+import { RISK_COLORS } from "./risk.js";
+import { fmtNum, fmtPct, fmtPrice, fmtUsd, t } from "./i18n.js";
+
+export const CANVAS_THRESHOLD = 150;
+export const TRANSITION_MS = 600;
+
+export function pickRenderer(count, search = typeof window !== "undefined" ? window.location.search : "") {
+  const forced = new URLSearchParams(search).get("renderer");
+  if (forced === "svg" || forced === "canvas") return forced;
+  return count > CANVAS_THRESHOLD ? "canvas" : "svg";
+}
+
+export function isTouchDevice() {
+  return typeof window !== "undefined" &&
+    ("ontouchstart" in window || navigator.maxTouchPoints > 0 || navigator.msMaxTouchPoints > 0);
+}
+
+export function radiusScale(nodes, { w, h }) {
+  const maxR = Math.min(90, Math.max(24, Math.min(w, h) / 9));
+  const minR = nodes.length > 150 ? 5 : nodes.length > 100 ? 7 : nodes.length > 60 ? 9 : 12;
+  return d3.scaleSqrt()
+    .domain([0, d3.max(nodes.map(n => n.hype)) || 1])
+    .range([minR, maxR]);
+}
+
+// ------------------ Simulation ------------------
+export function createBubbleSim() {
+  const center = { x: 0, y: 0 };
+  let targets = null; // Map id → { x, y } en mode groupé ; null = centre commun
+  const forceX = d3.forceX(0).strength(0.03);
+  const forceY = d3.forceY(0).strength(0.03);
+  const collide = d3.forceCollide().iterations(2);
+  const sim = d3.forceSimulation([])
+    .velocityDecay(0.35)
+    .force("charge", d3.forceManyBody().strength(1.5))
+    .force("collide", collide)
+    .force("x", forceX)
+    .force("y", forceY)
+    .alphaDecay(0.015)
+    .alphaTarget(0.02);
+
+  // Légère dérive du centre pour un mouvement continu
+  const drift = d3.timer((elapsed) => {
+    const s = elapsed / 1000;
+    const dx = Math.sin(s * 0.20) * 12;
+    const dy = Math.cos(s * 0.17) * 12;
+    if (targets) {
+      forceX.x(d => (targets.get(d.id)?.x ?? center.x) + dx);
+      forceY.y(d => (targets.get(d.id)?.y ?? center.y) + dy);
+    } else {
+      forceX.x(center.x + dx);
+      forceY.y(center.y + dy);
+    }
+  });
+
+  // reheat : changement de regroupement, les bulles doivent traverser la carte
+  function setNodes(nodes, r, nextTargets = null, { reheat = false } = {}) {
+    targets = nextTargets;
+    forceX.strength(targets ? 0.08 : 0.03);
+    forceY.strength(targets ? 0.08 : 0.03);
+    collide.radius(d => r(d.hype) + (d.watched ? 6 : 1.5));
+    const hadNodes = sim.nodes().length > 0;
+    sim.nodes(nodes);
+    sim.alpha(hadNodes && !reheat ? 0.3 : 0.7).restart();
+  }
+  function stop() { sim.stop(); drift.stop(); }
+
+  return { sim, center, setNodes, stop };
+}
+
+// Les nouveaux objets nœuds reprennent la position / vitesse de la bulle existante (même id)
+export function carryOver(prevNodes, nodes, center, { w, h }) {
+  const prev = new Map(prevNodes.map(d => [d.id, d]));
+  for (const n of nodes) {
+    const p = prev.get(n.id);
+    if (p) {
+      n.x = p.x; n.y = p.y; n.vx = p.vx; n.vy = p.vy; n.fx = p.fx; n.fy = p.fy;
+    } else if (n.x == null) {
+      n.x = center.x + (Math.random() - 0.5) * w * 0.4;
+      n.y = center.y + (Math.random() - 0.5) * h * 0.4;
+    }
+  }
+  return prev;
+}
+
+// ------------------ Tooltip ------------------
+export function tooltipHtml(d, { timeframe, color }) {
+  return `<div class='font-semibold mb-1'>${d.symbol} · <span class='text-white/70'>${d.name}</span></div>
+     <div class='grid grid-cols-2 gap-x-6 gap-y-1 text-white/80'>
+       <div>${t("metrics.mc")}</div><div class='text-right'>${d.mc ? fmtUsd(d.mc) : '—'}</div>
+       <div>${t("metrics.chg", { tf: "1h" })}</div><div class='text-right' style='color:${color(d.priceChgH1)}'>${fmtPct(isFinite(d.priceChgH1) ? d.priceChgH1 : 0)}</div>
+       <div>${t("metrics.price")}</div><div class='text-right'>${fmtPrice(d.priceUsd)}</div>
+       <div>${t("metrics.vol", { tf: timeframe })}</div><div class='text-right'>${fmtUsd(d.vol)}</div>
+       <div>${t("metrics.txns", { tf: timeframe })}</div><div class='text-right'>${fmtNum(d.txn)}</div>
+       <div>${t("metrics.boost")}</div><div class='text-right'>${d.boost || 0}</div>
+       <div>${t("metrics.liquidity")}</div><div class='text-right'>${fmtUsd(d.liquidity)}</div>
+       ${d.risk?.flags?.length ? `<div>${t("metrics.risk")}</div><div class='text-right font-semibold' style='color:${RISK_COLORS[d.risk.level]}'>${d.risk.flags.map(f => f.short).join(" · ")}</div>` : ""}
+     </div>`;
+}
+
+export function createTooltip() {
+  const isTouch = isTouchDevice();
+  const el = d3.select("body").append("div")
+    .attr("class", "pointer-events-none fixed z-50 p-3 rounded-xl text-sm bg-panel/90 border border-white/10 shadow-xl hidden text-white");
+  return {
+    show(event, html) {
+      if (isTouch) return; // mobile: pas de tooltip, seulement pop-up
+      el.html(html)
+        .style("left", `${event.clientX + 16}px`)
+        .style("top", `${event.clientY + 16}px`)
+        .classed("hidden", false);
+    },
+    hide() { el.classed("hidden", true); },
+    remove() { el.remove(); },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Chaînes supportées (ids DexScreener)
+ * - label / short (badge) / couleur, explorateur (liens de trading : voir links.js)
+ * - "all" = toutes les chaînes renvoyées par DexScreener
+ */
+
+import { t } from "./i18n.js";
+
+export const ALL_CHAINS = "all";
+export const DEFAULT_CHAIN = "solana";
+
+export const CHAINS = {
+  solana: {
+    label: "Solana", short: "SOL", color: "#14F195",
+    explorer: { name: "Solscan", url: ca => `https://solscan.io/token/${ca}` },
+  },
+  base: {
+    label: "Base", short: "BASE", color: "#0052FF",
+    explorer: { name: "BaseScan", url: ca => `https://basescan.org/token/${ca}` },
+  },
+  ethereum: {
+    label: "Ethereum", short: "ETH", color: "#627EEA",
+    explorer: { name: "Etherscan", url: ca => `https://etherscan.io/token/${ca}` },
+  },
+  bsc: {
+    label: "BSC", short: "BSC", color: "#F0B90B",
+    explorer: { name: "BscScan", url: ca => `https://bscscan.com/token/${ca}` },
+  },
+  arbitrum: {
+    label: "Arbitrum", short: "ARB", color: "#28A0F0",
+    explorer: { name: "Arbiscan", url: ca => `https://arbiscan.io/token/${ca}` },
+  },
+  polygon: {
+    label: "Polygon", short: "POL", color: "#8247E5",
+    explorer: { name: "PolygonScan", url: ca => `https://polygonscan.com/token/${ca}` },
+  },
+  avalanche: {
+    label: "Avalanche", short: "AVAX", color: "#E84142",
+    explorer: { name: "Snowtrace", url: ca => `https://snowtrace.io/token/${ca}` },
+  },
+};
+
+export const CHAIN_OPTIONS = [...Object.keys(CHAINS), ALL_CHAINS];
+
+// Chaîne inconnue (mode "all") : badge générique, explorateur = DexScreener
+export function chainInfo(chainId) {
+  const id = (chainId || "").toLowerCase();
+  return CHAINS[id] || {
+    label: id || "?", short: (id || "?").slice(0, 4).toUpperCase(), color: "#8a97b2",
+    explorer: { name: "DexScreener", url: ca => dexscreenerUrl(id, ca) },
+  };
+}
+
+export function chainLabel(chainId) {
+  return chainId === ALL_CHAINS ? t("chains.all") : chainInfo(chainId).label;
+}
+
+export function explorerUrl(chainId, ca) {
+  return chainInfo(chainId).explorer.url(ca);
+}
+
+export function dexscreenerUrl(chainId, ca) {
+  return `https://dexscreener.com/${chainId}/${ca}`;
+}
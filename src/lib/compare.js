@@ -0,0 +1,86 @@
+/**
+ * Mode comparaison
+ * - Sélection multiple : Maj+clic (ou Maj+Entrée) sur une bulle, case à cocher sur les cartes du Top ; COMPARE_MAX tokens au plus
+ * - compareSections : métriques du board puis les 4 timeframes de la paire, côte à côte, avec le rang relatif dans la sélection ;
+ *   la synthèse donne le rang moyen de chaque token sur toutes les lignes classées
+ * - Contributions des facteurs au hype score : barres empilées (FACTOR_COLORS, palette Okabe-Ito)
+ */
+import { FACTORS } from "./scoring.js";
+import { TIMEFRAMES } from "./viewState.js";
+import { fmtNum, fmtPct, fmtPrice, fmtUsd, t } from "./i18n.js";
+
+export const COMPARE_MAX = 6;
+
+export const FACTOR_COLORS = {
+  price: "#E69F00", volume: "#56B4E9", txns: "#009E73", boost: "#F0E442", liquidity: "#0072B2",
+  buySell: "#D55E00", age: "#CC79A7", mcLiq: "#999999", momentum: "#882255",
+};
+
+// Ajout / retrait ; au-delà de COMPARE_MAX, la sélection ne change pas
+export function toggleCompare(ids, id) {
+  if (ids.includes(id)) return ids.filter(x => x !== id);
+  return ids.length >= COMPARE_MAX ? ids : [...ids, id];
+}
+
+// Rang de chaque valeur dans la sélection (1 = meilleur) ; dir 1 : plus grand = mieux, -1 : plus petit = mieux
+// Ex aequo : même rang ; valeurs non finies : null
+export function rankWithin(values, dir = 1) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => (b - a) * dir);
+  return values.map(v => (Number.isFinite(v) ? sorted.indexOf(v) + 1 : null));
+}
+
+const num = (v) => (v == null || v === "" ? NaN : +v);
+const txOf = (pair, tf) => pair?.txns?.[tf] || {};
+
+// tokens : [{ node, pair, rank }] (rank = rang hype sur le board)
+// → [{ id, title, rows: [{ id, label, values, display, ranks, signed? }] }] ; dir 0 = pas de classement (prix)
+// signed : variation de prix, à colorer avec l'échelle de variation
+export function compareSections(tokens) {
+  const row = (id, label, get, format, dir = 1) => {
+    const values = tokens.map(x => num(get(x)));
+    return { id, label, values, display: values.map(v => (Number.isFinite(v) ? format(v) : "—")), ranks: dir ? rankWithin(values, dir) : values.map(() => null) };
+  };
+  const perTimeframe = (id, get, format, dir) => ({
+    id, title: t(`compare.sections.${id}`),
+    rows: TIMEFRAMES.map(tf => ({ ...row(`${id}-${tf}`, tf, x => get(x.pair, tf), format, dir), signed: id === "chg" })),
+  });
+
+  const sections = [
+    {
+      id: "board", title: t("compare.sections.board"),
+      rows: [
+        row("rank", t("compare.boardRank"), x => x.rank, v => `#${v}`, -1),
+        row("hype", t("metrics.hype"), x => x.node.hype, v => fmtNum(v, { digits: 3 })),
+        row("price", t("metrics.price"), x => x.node.priceUsd, fmtPrice, 0),
+        row("mc", t("metrics.mc"), x => x.node.mc || NaN, v => fmtUsd(v, { compact: true })),
+        row("liquidity", t("metrics.liquidity"), x => x.node.liquidity, v => fmtUsd(v, { compact: true })),
+        row("boost", t("metrics.boost"), x => x.node.boost || 0, v => fmtNum(v)),
+        row("risk", t("compare.riskFlags"), x => x.node.risk?.flags?.length ?? 0, v => fmtNum(v), -1),
+      ],
+    },
+    perTimeframe("chg", (p, tf) => p?.priceChange?.[tf], v => fmtPct(v, 1), 1),
+    perTimeframe("vol", (p, tf) => p?.volume?.[tf], v => fmtUsd(v, { compact: true }), 1),
+    perTimeframe("txns", (p, tf) => (txOf(p, tf).buys || 0) + (txOf(p, tf).sells || 0), v => fmtNum(v, { compact: true }), 1),
+    perTimeframe("buyRatio", (p, tf) => {
+      const { buys = 0, sells = 0 } = txOf(p, tf);
+      return buys + sells ? (buys / (buys + sells)) * 100 : NaN;
+    }, v => fmtPct(v, 0), 1),
+  ];
+
+  // Synthèse : moyenne des rangs de chaque token (lignes classées et renseignées seulement)
+  const ranked = sections.flatMap(s => s.rows).filter(r => r.ranks.some(k => k != null));
+  const mean = (i) => {
+    const ks = ranked.map(r => r.ranks[i]).filter(k => k != null);
+    return ks.length ? ks.reduce((a, b) => a + b, 0) / ks.length : NaN;
+  };
+  sections.push({
+    id: "summary", title: t("compare.sections.summary"),
+    rows: [row("avgRank", t("compare.avgRank"), x => mean(tokens.indexOf(x)), v => fmtNum(v, { digits: 1 }), -1)],
+  });
+  return sections;
+}
+
+// Segments des barres empilées : contributions ≥ 0, dans l'ordre de FACTORS
+export function factorSegments(node) {
+  return FACTORS.map(f => ({ key: f.key, label: f.label, value: Math.max(0, node.factors?.[f.key] || 0) })).filter(s => s.value > 0);
+}
@@ -0,0 +1,21 @@
+/**
+ * Téléchargement côté navigateur (Blob + lien temporaire)
+ */
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadJSON(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), filename);
+}
+
+// Lit un fichier choisi par l'utilisateur (<input type="file">) comme JSON
+export function readJSONFile(file) {
+  return file.text().then(text => JSON.parse(text));
+}
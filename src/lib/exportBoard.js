@@ -0,0 +1,221 @@
+/**
+ * Export du board : nœuds affichés en CSV / JSON, bubble map en SVG / PNG
+ * - Colonnes : toutes les métriques calculées + hype + contribution de chaque facteur + risque
+ * - Image : SVG autonome (positions de la simulation, ou pack si absentes), logos embarqués en data URL,
+ *   légende date / réglages en bas ; PNG = rasterisation de ce SVG (pas de canvas "tainted")
+ * - Couleurs du thème courant, palette de variation et remplissage (fill) identiques à l'écran
+ * - Bubble map groupée : libellés des grappes repris (positions de la simulation seulement)
+ */
+import * as d3 from "d3";
+import { radiusScale } from "./bubbles.js";
+import { chainInfo } from "./chains.js";
+import { FACTORS } from "./scoring.js";
+import { RISK_COLORS } from "./risk.js";
+import { downloadBlob, downloadJSON } from "./download.js";
+import { fmtDateTime, fmtPct, t } from "./i18n.js";
+import { getTheme, paintGradients } from "./theme.js";
+import { groupCaption, groupLabelY, groupLayout } from "./grouping.js";
+
+export const EXPORT_COLUMNS = [
+  { key: "rank", get: (n, i) => i + 1 },
+  { key: "ca", get: n => n.id },
+  { key: "chain", get: n => n.chainId },
+  { key: "symbol", get: n => n.symbol },
+  { key: "name", get: n => n.name },
+  { key: "hype", get: n => n.hype },
+  { key: "priceUsd", get: n => n.priceUsd },
+  { key: "priceChg", get: n => n.priceChg },
+  { key: "priceChgH1", get: n => n.priceChgH1 },
+  { key: "vol", get: n => n.vol },
+  { key: "txn", get: n => n.txn },
+  { key: "txnH1", get: n => n.txnH1 },
+  { key: "liquidity", get: n => n.liquidity },
+  { key: "mc", get: n => n.mc },
+  { key: "boost", get: n => n.boost || 0 },
+  { key: "watched", get: n => !!n.watched },
+  { key: "risk", get: n => n.risk?.level || "ok" },
+  { key: "riskFlags", get: n => (n.risk?.flags || []).map(f => f.id).join("|") },
+  ...FACTORS.map(f => ({ key: `f_${f.key}`, get: n => n.factors?.[f.key] ?? "" })),
+  { key: "url", get: n => n.url || "" },
+];
+
+const stamp = (d = new Date()) => d.toISOString().slice(0, 16).replace(/[:T]/g, "-");
+
+// Symbole / nom choisis par le créateur du token : un texte commençant par = + - @ serait lu comme une formule
+// par Excel / Sheets → préfixé d'une apostrophe (les nombres, même négatifs, restent tels quels)
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s) && !Number.isFinite(+s)) s = `'${s}`;
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function nodesToCSV(nodes) {
+  const lines = [EXPORT_COLUMNS.map(c => c.key).join(",")];
+  nodes.forEach((n, i) => lines.push(EXPORT_COLUMNS.map(c => csvCell(c.get(n, i))).join(",")));
+  return lines.join("\n");
+}
+
+export function nodesToJSON(nodes, settings = {}) {
+  return {
+    exportedAt: new Date().toISOString(),
+    settings,
+    tokens: nodes.map((n, i) => Object.fromEntries(EXPORT_COLUMNS.map(c => [c.key, c.get(n, i)]))),
+  };
+}
+
+export function downloadCSV(nodes) {
+  downloadBlob(new Blob([nodesToCSV(nodes)], { type: "text/csv" }), `trenchboard-${stamp()}.csv`);
+}
+
+export function downloadNodesJSON(nodes, settings) {
+  downloadJSON(nodesToJSON(nodes, settings), `trenchboard-${stamp()}.json`);
+}
+
+// ------------------ Image (SVG / PNG) ------------------
+export function captionFor({ chain, timeframe, profile, count, query, group }, date = new Date()) {
+  const when = fmtDateTime(date);
+  return [
+    t("export.caption.title", { when }), chain, t("export.caption.timeframe", { timeframe }), t("export.caption.score", { profile }),
+    t("export.caption.tokens", { count }), query && t("export.caption.filter", { query }), group && t("export.caption.group", { group }),
+  ]
+    .filter(Boolean).join(" · ");
+}
+
+async function toDataUrl(url) {
+  try {
+    const r = await fetch(url, { mode: "cors" });
+    if (!r.ok) return null;
+    const blob = await r.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null; // CORS / réseau : bulle sans logo
+  }
+}
+
+// Positions de la simulation si présentes, sinon pack (vue non-bubble, export avant le 1er tick)
+function layout(nodes, { w, h }) {
+  if (nodes.every(n => isFinite(n.x) && isFinite(n.y))) {
+    const r = radiusScale(nodes, { w, h });
+    return nodes.map(n => ({ n, x: n.x, y: n.y, r: r(n.hype) }));
+  }
+  const root = d3.pack().size([w, h]).padding(3)(d3.hierarchy({ children: nodes }).sum(d => (d.children ? 0 : Math.max(1e-6, d.hype))));
+  return root.leaves().map(l => ({ n: l.data, x: l.x, y: l.y, r: l.r }));
+}
+
+export async function renderBubbleSvg(nodes, { dims, color, fill, groups, caption }) {
+  const colors = getTheme();
+  const items = layout(nodes, dims);
+  const labels = groups && nodes.every(n => isFinite(n.x) && isFinite(n.y)) ? groupLayout(groups, radiusScale(nodes, dims), dims) : [];
+  const pad = 16;
+  const x0 = (d3.min(items, d => d.x - d.r) ?? 0) - pad;
+  const y0 = Math.min(d3.min(items, d => d.y - d.r) ?? 0, d3.min(labels, d => groupLabelY(d) - 14) ?? Infinity) - pad;
+  const w = Math.max(200, (d3.max(items, d => d.x + d.r) ?? dims.w) + pad - x0);
+  const hBubbles = Math.max(200, (d3.max(items, d => d.y + d.r) ?? dims.h) + pad - y0);
+  const h = hBubbles + 28;
+
+  const icons = new Map(await Promise.all(
+    [...new Set(nodes.map(n => n.icon).filter(Boolean))].map(async url => [url, await toDataUrl(url)])
+  ));
+
+  const svg = d3.create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", w).attr("height", h)
+    .attr("viewBox", `${x0} ${y0} ${w} ${h}`)
+    .style("font-family", "ui-sans-serif, system-ui, sans-serif");
+  const defs = svg.append("defs");
+  paintGradients(defs, colors);
+  defs.append("clipPath").attr("id", "icon-clip").attr("clipPathUnits", "objectBoundingBox")
+    .append("circle").attr("cx", 0.5).attr("cy", 0.5).attr("r", 0.5);
+
+  svg.append("rect").attr("x", x0).attr("y", y0).attr("width", w).attr("height", h).attr("fill", colors.surface);
+  svg.append("rect").attr("x", x0).attr("y", y0).attr("width", w).attr("height", hBubbles).attr("fill", "url(#bg)").attr("rx", 12);
+
+  const groupLabels = svg.append("g").selectAll("g").data(labels).join("g")
+    .attr("transform", d => `translate(${d.x},${groupLabelY(d)})`)
+    .attr("text-anchor", "middle").attr("fill", colors.fg);
+  groupLabels.append("text").style("font-size", "12px").style("font-weight", 700).attr("fill-opacity", 0.85).text(d => d.label);
+  groupLabels.append("text").attr("y", 13).style("font-size", "10px").attr("fill-opacity", 0.55).text(groupCaption);
+
+  const g = svg.append("g").selectAll("g").data(items).join("g")
+    .attr("transform", d => `translate(${d.x},${d.y})`);
+  g.filter(d => d.n.watched).append("circle")
+    .attr("r", d => d.r + 5).attr("fill", "none")
+    .attr("stroke", colors.gold).attr("stroke-width", 2).attr("stroke-opacity", 0.7).attr("stroke-dasharray", "4 3");
+  g.append("circle")
+    .attr("r", d => d.r).attr("fill", d => (fill ? fill(d.n) : "url(#bubble-fill)")).attr("fill-opacity", fill ? 0.85 : null)
+    .attr("stroke", d => d.n.watched ? colors.gold : colors.outline).attr("stroke-width", d => d.n.watched ? 2.5 : 1.5);
+
+  const iconSize = d => Math.max(16, Math.min(28, d.r * 0.42));
+  const iconY = d => -(d.r - (iconSize(d) / 2 + 6));
+  const withIcon = g.filter(d => icons.get(d.n.icon) && d.r >= 18);
+  withIcon.append("circle").attr("cy", iconY).attr("r", d => iconSize(d) / 2 + 2)
+    .attr("fill", colors.surface).attr("stroke", colors.accent).attr("stroke-width", 1);
+  withIcon.append("image")
+    .attr("href", d => icons.get(d.n.icon))
+    .attr("x", d => -iconSize(d) / 2).attr("y", d => iconY(d) - iconSize(d) / 2)
+    .attr("width", iconSize).attr("height", iconSize)
+    .attr("clip-path", "url(#icon-clip)");
+
+  g.append("text")
+    .attr("text-anchor", "middle").attr("y", 6).attr("fill", colors.ink)
+    .style("font-weight", 600).style("font-size", d => `${Math.max(10, Math.min(16, d.r / 2.6))}px`)
+    .text(d => d.n.symbol);
+  g.filter(d => d.r >= 14).append("text")
+    .attr("text-anchor", "middle").attr("y", d => Math.min(d.r * 0.6, d.r - 6))
+    .style("font-weight", 700).style("font-size", d => `${Math.max(9, d.r / 3.2)}px`)
+    .attr("fill", d => color(d.n.priceChg))
+    .text(d => fmtPct(isFinite(d.n.priceChg) ? d.n.priceChg : 0));
+
+  const badge = g.filter(d => d.r >= 14).append("g").attr("transform", d => `translate(${d.r * 0.62},${-d.r * 0.72})`);
+  badge.append("rect")
+    .attr("x", d => -(chainInfo(d.n.chainId).short.length * 2.6 + 4)).attr("y", -6)
+    .attr("width", d => chainInfo(d.n.chainId).short.length * 5.2 + 8).attr("height", 12).attr("rx", 6)
+    .attr("fill", d => chainInfo(d.n.chainId).color).attr("stroke", colors.ink);
+  badge.append("text").attr("text-anchor", "middle").attr("y", 3)
+    .style("font-size", "8px").style("font-weight", 700).attr("fill", colors.ink)
+    .text(d => chainInfo(d.n.chainId).short);
+
+  const risky = g.filter(d => d.n.risk?.level && d.n.risk.level !== "ok").append("g")
+    .attr("transform", d => `translate(${-d.r * 0.62},${-d.r * 0.72})`);
+  risky.append("circle").attr("r", 7).attr("fill", d => RISK_COLORS[d.n.risk.level]).attr("stroke", colors.ink);
+  risky.append("text").attr("text-anchor", "middle").attr("y", 3.5)
+    .style("font-size", "10px").style("font-weight", 700).attr("fill", colors.ink).text("!");
+
+  svg.append("text")
+    .attr("x", x0 + 12).attr("y", y0 + h - 10)
+    .style("font-size", "12px").attr("fill", colors.fg).attr("fill-opacity", 0.6)
+    .text(caption);
+
+  return { svg: new XMLSerializer().serializeToString(svg.node()), width: w, height: h };
+}
+
+export async function downloadBubbleSvg(nodes, opts) {
+  const { svg } = await renderBubbleSvg(nodes, opts);
+  downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `trenchboard-${stamp()}.svg`);
+}
+
+export async function downloadBubblePng(nodes, opts, scale = 2) {
+  const { svg, width, height } = await renderBubbleSvg(nodes, opts);
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const i = new Image();
+      i.onload = () => resolve(i);
+      i.onerror = () => reject(new Error(t("errors.svgRender")));
+      i.src = url;
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    downloadBlob(blob, `trenchboard-${stamp()}.png`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * État du flux de données (après chaque load)
+ * - keepStalePairs : tokens des lots de paires en échec → on garde leur paire précédente (marquée périmée)
+ * - feedIssues : lignes à afficher ("2/5 lots de paires en échec", "Profils indisponibles"…), vide si tout va bien
+ */
+
+import { t } from "./i18n.js";
+
+// prev / next : { addr: pair } ; failedTokens : [{ address }] des lots en échec
+// Liste inconnue : seuls les tokens encore demandés (wanted : boosts + watchlist / portefeuille) reprennent leur paire,
+// sinon des tokens sortis de l'échantillon resteraient indéfiniment sur le board
+export function keepStalePairs(prev, next, failedTokens, wanted = []) {
+  const candidates = failedTokens ? failedTokens.map(tok => tok.address) : wanted;
+  const pairs = { ...next };
+  let kept = 0;
+  for (const addr of candidates) {
+    if (!pairs[addr] && prev[addr]) { pairs[addr] = prev[addr]; kept += 1; }
+  }
+  return { pairs, kept };
+}
+
+// → [{ endpoint, text }]
+export function feedIssues(status) {
+  if (!status) return [];
+  const out = [];
+  for (const endpoint of ["boosts", "pairs", "profiles"]) {
+    const s = status[endpoint];
+    if (!s) continue;
+    const label = t(`feed.endpoints.${endpoint}`);
+    const err = s.error ? ` (${s.error})` : "";
+    if (endpoint === "pairs" && s.failed) out.push({ endpoint, text: t("feed.pairsFailed", { failed: s.failed, total: s.total }) + err });
+    else if (!s.ok) out.push({ endpoint, text: t("feed.unavailable", { label }) + err });
+    else if (s.stale) out.push({ endpoint, text: t("feed.proxyCache", { label }) });
+  }
+  return out;
+}
@@ -0,0 +1,98 @@
+/**
+ * Bubble map groupée (« Grouper par ») : une grappe par groupe, avec son propre centre de force et un libellé
+ * - Modes : DEX, tranche de MC, âge de la paire, sens de la variation (none = un seul centre, comportement d'origine)
+ * - groupNodes : groupes ordonnés + agrégats (nombre, volume du timeframe, hype) ; au-delà de GROUP_MAX DEX, le reste va dans « Autres »
+ * - groupLayout : centres répartis en grille sur les dimensions de la carte, rayon estimé de chaque grappe (position du libellé)
+ */
+import * as d3 from "d3";
+import { fmtUsd, t } from "./i18n.js";
+
+export const GROUP_MODES = ["none", "dex", "mc", "age", "sign"];
+export const GROUP_MAX = 8;
+
+// Bornes hautes exclusives
+const MC_TIERS = [{ key: "lt100k", max: 1e5 }, { key: "100k-1m", max: 1e6 }, { key: "1m-10m", max: 1e7 }, { key: "gt10m", max: Infinity }];
+const AGE_TIERS = [{ key: "lt1h", max: 1 }, { key: "1-6h", max: 6 }, { key: "6-24h", max: 24 }, { key: "1-7d", max: 168 }, { key: "gt7d", max: Infinity }]; // heures
+
+const tierOf = (tiers, v) => tiers.find(x => v < x.max).key;
+
+// order : ordre fixe des clés (tranches) ; sans order, groupes triés par hype cumulé
+const MODES = {
+  dex: {
+    keyOf: (n) => n.dexId || "unknown",
+    label: (key) => key,
+  },
+  mc: {
+    order: [...MC_TIERS.map(x => x.key), "unknown"],
+    keyOf: (n) => (n.mc > 0 ? tierOf(MC_TIERS, n.mc) : "unknown"),
+    label: (key) => t(`grouping.mcTiers.${key}`),
+  },
+  age: {
+    order: [...AGE_TIERS.map(x => x.key), "unknown"],
+    keyOf: (n, now) => (n.createdAt ? tierOf(AGE_TIERS, Math.max(0, now - n.createdAt) / 3600e3) : "unknown"),
+    label: (key) => t(`grouping.ages.${key}`),
+  },
+  sign: {
+    order: ["up", "flat", "down"],
+    keyOf: (n) => (n.priceChg > 0 ? "up" : n.priceChg < 0 ? "down" : "flat"),
+    label: (key) => t(`grouping.signs.${key}`),
+  },
+};
+
+function aggregate(key, nodes) {
+  return { key, nodes, count: nodes.length, vol: d3.sum(nodes, n => n.vol), hype: d3.sum(nodes, n => n.hype) };
+}
+
+// → [{ key, label, nodes, count, vol, hype }] ou null (mode "none" / inconnu)
+export function groupNodes(mode, nodes, now = Date.now()) {
+  const def = MODES[mode];
+  if (!def) return null;
+  let groups = [...d3.group(nodes, n => def.keyOf(n, now))].map(([key, list]) => aggregate(key, list));
+  if (def.order) {
+    groups.sort((a, b) => def.order.indexOf(a.key) - def.order.indexOf(b.key));
+  } else {
+    groups.sort((a, b) => b.hype - a.hype);
+    if (groups.length > GROUP_MAX) {
+      const rest = groups.slice(GROUP_MAX - 1);
+      groups = [...groups.slice(0, GROUP_MAX - 1), aggregate("other", rest.flatMap(g => g.nodes))];
+    }
+  }
+  return groups.map(g => ({
+    ...g,
+    label: g.key === "other" ? t("grouping.other") : g.key === "unknown" ? t("grouping.unknown") : def.label(g.key),
+  }));
+}
+
+// Centres en grille (colonnes selon le ratio de la carte, dernière ligne centrée)
+// r : échelle des rayons (radiusScale) → [{ ...groupe, x, y, radius }]
+export function groupLayout(groups, r, { w, h }) {
+  const n = groups.length;
+  const cols = Math.max(1, Math.min(n, Math.round(Math.sqrt((n * w) / h))));
+  const rows = Math.ceil(n / cols);
+  const cw = w / cols;
+  const ch = h / rows;
+  return groups.map((g, i) => {
+    const row = Math.floor(i / cols);
+    const inRow = row === rows - 1 ? n - row * cols : cols;
+    return {
+      ...g,
+      x: (w - inRow * cw) / 2 + ((i % cols) + 0.5) * cw,
+      y: (row + 0.5) * ch,
+      radius: Math.sqrt(d3.sum(g.nodes, d => (r(d.hype) + 1.5) ** 2) / 0.7), // surface des bulles / compacité ~0.7
+    };
+  });
+}
+
+// Centre de force de chaque nœud : Map id → { x, y }
+export function groupTargets(layout) {
+  return new Map(layout.flatMap(g => g.nodes.map(n => [n.id, g])));
+}
+
+// Libellé de grappe : au-dessus de la grappe estimée, sans sortir de la carte
+export function groupLabelY(g) {
+  return Math.max(18, g.y - g.radius - 12);
+}
+
+export function groupCaption(g) {
+  return t("grouping.caption", { count: g.count, vol: fmtUsd(g.vol, { compact: true }) });
+}
@@ -0,0 +1,91 @@
+/**
+ * Historique local des refresh (IndexedDB)
+ * - Un snapshot horodaté par load() : { ts, source, timeframe, tokens: { addr: { h, p, v } } }
+ *   h = hype, p = prix USD, v = volume du timeframe au moment du refresh
+ * - Rétention : HISTORY_MAX_SNAPSHOTS snapshots et HISTORY_MAX_AGE_MS au plus
+ * - Sans IndexedDB (navigation privée…), l'historique reste en mémoire pour la session
+ */
+
+export const HISTORY_MAX_SNAPSHOTS = 720;          // 12h à 1 refresh/min
+export const HISTORY_MAX_AGE_MS = 24 * 3600 * 1000; // 24h
+
+const DB_NAME = "trenchboard";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB indisponible"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "ts" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function done(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function snapshotFromNodes(nodes, { source, timeframe, ts = Date.now() }) {
+  const tokens = {};
+  for (const n of nodes) tokens[n.id] = { h: +n.hype.toFixed(4), p: n.priceUsd, v: Math.round(n.vol) };
+  return { ts, source, timeframe, tokens };
+}
+
+export function applyRetention(snapshots, now = Date.now()) {
+  return snapshots
+    .filter(s => now - s.ts <= HISTORY_MAX_AGE_MS)
+    .slice(-HISTORY_MAX_SNAPSHOTS);
+}
+
+export async function loadHistory(source) {
+  try {
+    const db = await openDB();
+    const all = await done(db.transaction(STORE).objectStore(STORE).getAll());
+    return applyRetention(all.filter(s => s.source === source).sort((a, b) => a.ts - b.ts));
+  } catch (e) {
+    console.warn("Historique indisponible :", e.message);
+    return [];
+  }
+}
+
+export async function saveSnapshot(snapshot) {
+  try {
+    const db = await openDB();
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    store.put(snapshot);
+    // Purge : trop vieux, puis au-delà du plafond (toutes sources confondues)
+    const keys = await done(store.getAllKeys());
+    const cutoff = snapshot.ts - HISTORY_MAX_AGE_MS;
+    const stale = keys.filter(k => k < cutoff);
+    const fresh = keys.filter(k => k >= cutoff);
+    stale.concat(fresh.slice(0, Math.max(0, fresh.length - HISTORY_MAX_SNAPSHOTS))).forEach(k => store.delete(k));
+  } catch (e) {
+    console.warn("Snapshot non enregistré :", e.message);
+  }
+}
+
+// Série d'une métrique (h|p|v) pour un token, dans l'ordre chronologique
+// timeframe : hype et volume dépendent du timeframe du snapshot → seuls ceux du timeframe demandé ; le prix n'en dépend pas
+export function seriesFor(history, addr, key, timeframe) {
+  const out = [];
+  for (const s of history) {
+    if (timeframe && key !== "p" && s.timeframe !== timeframe) continue;
+    const t = s.tokens?.[addr];
+    if (t && t[key] != null && isFinite(t[key])) out.push({ ts: s.ts, value: t[key] });
+  }
+  return out;
+}
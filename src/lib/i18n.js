@@ -0,0 +1,125 @@
+/**
+ * i18n fr/en
+ * - Catalogues JSON dans src/locales/ (clés pointées : "settings.title"), fallback fr puis la clé elle-même
+ * - Variables : "{name}" ; pluriels : objet { one, other } choisi via Intl.PluralRules sur vars.count
+ * - Langue : ?lang= > choix mémorisé (localStorage "locale") > navigator.language > fr
+ * - Formatage des nombres selon la locale : $ compact (1,2 M$ / $1.2M), prix micro-cap en chiffres significatifs
+ */
+import fr from "../locales/fr.json";
+import en from "../locales/en.json";
+import { readJSON, writeJSON } from "./storage.js";
+
+export const LOCALES = {
+  fr: { label: "Français", intl: "fr-FR", messages: fr },
+  en: { label: "English", intl: "en-US", messages: en },
+};
+export const DEFAULT_LOCALE = "fr";
+
+const pick = (l) => (l && LOCALES[l] ? l : null);
+
+export function detectLocale() {
+  let fromUrl = null;
+  try { fromUrl = new URLSearchParams(location.search).get("lang"); } catch { /* hors navigateur */ }
+  const nav = typeof navigator !== "undefined" ? navigator.language?.slice(0, 2) : null;
+  return pick(fromUrl) || pick(readJSON("locale", null)) || pick(nav) || DEFAULT_LOCALE;
+}
+
+let current = DEFAULT_LOCALE;
+
+export function getLocale() {
+  return current;
+}
+
+// persist : choix explicite de l'utilisateur → mémorisé, et ?lang= mis à jour s'il est dans l'URL
+export function setLocale(l, { persist = true } = {}) {
+  current = pick(l) || DEFAULT_LOCALE;
+  if (typeof document !== "undefined") document.documentElement.lang = current;
+  if (!persist) return current;
+  writeJSON("locale", current);
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("lang")) {
+    params.set("lang", current);
+    window.history.replaceState(null, "", `${window.location.pathname}?${params}${window.location.hash}`);
+  }
+  return current;
+}
+
+// ------------------ Messages ------------------
+
+function lookup(messages, key) {
+  let v = messages;
+  for (const part of key.split(".")) {
+    if (v == null || typeof v !== "object") return undefined;
+    v = v[part];
+  }
+  return v;
+}
+
+const pluralRules = {};
+function plural(count) {
+  const rules = pluralRules[current] ??= new Intl.PluralRules(LOCALES[current].intl);
+  return rules.select(count);
+}
+
+export function t(key, vars = {}) {
+  let msg = lookup(LOCALES[current].messages, key);
+  if (msg === undefined) msg = lookup(fr, key);
+  if (msg && typeof msg === "object") msg = msg[plural(+vars.count || 0)] ?? msg.other;
+  if (typeof msg !== "string") return key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? vars[name] : m));
+}
+
+// ------------------ Nombres / dates ------------------
+
+const formatters = new Map();
+function nf(kind, opts) {
+  const id = `${current}|${kind}`;
+  if (!formatters.has(id)) formatters.set(id, new Intl.NumberFormat(LOCALES[current].intl, opts));
+  return formatters.get(id);
+}
+
+const finite = (v) => v != null && Number.isFinite(+v);
+
+// 1 234 567 $ ; compact : 1,2 M$ (fr) / $1.2M (en)
+export function fmtUsd(v, { compact = false } = {}) {
+  if (!finite(v)) return "—";
+  return compact
+    ? nf("usdc", { style: "currency", currency: "USD", currencyDisplay: "narrowSymbol", notation: "compact", maximumFractionDigits: 1 }).format(v)
+    : nf("usd", { style: "currency", currency: "USD", currencyDisplay: "narrowSymbol", maximumFractionDigits: 0 }).format(v);
+}
+
+// Prix : 2 décimales au-dessus de 1 $, sinon 3 chiffres significatifs (0,0000123 $)
+export function fmtPrice(v) {
+  if (!finite(v)) return "—";
+  return Math.abs(v) >= 1
+    ? nf("price", { style: "currency", currency: "USD", currencyDisplay: "narrowSymbol", minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(v)
+    : nf("micro", { style: "currency", currency: "USD", currencyDisplay: "narrowSymbol", maximumSignificantDigits: 3 }).format(v);
+}
+
+// v en points de % (12.3 → 12,30 %)
+export function fmtPct(v, digits = 2) {
+  if (!finite(v)) return "—";
+  return nf(`pct${digits}`, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v / 100);
+}
+
+export function fmtNum(v, { compact = false, digits = 0 } = {}) {
+  if (!finite(v)) return "—";
+  return compact
+    ? nf("numc", { notation: "compact", maximumFractionDigits: 1 }).format(v)
+    : nf(`num${digits}`, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+}
+
+const dateOpts = {
+  time: { hour: "2-digit", minute: "2-digit", second: "2-digit" },
+  date: { year: "numeric", month: "2-digit", day: "2-digit" },
+  datetime: { year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" },
+};
+function df(kind, v) {
+  const id = `${current}|${kind}`;
+  if (!formatters.has(id)) formatters.set(id, new Intl.DateTimeFormat(LOCALES[current].intl, dateOpts[kind]));
+  return formatters.get(id).format(v);
+}
+
+export const fmtTime = (v) => df("time", v);
+export const fmtDate = (v) => df("date", v);
+export const fmtDateTime = (v) => df("datetime", v);
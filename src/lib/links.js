@@ -0,0 +1,50 @@
+/**
+ * Registre des liens de trading / référals (src/config/links.json)
+ * - Entrée : { id, name, template, referral?, chains, chainSlugs?, order }
+ *   template : {ca}, {ref} (= referral), {chain} (= chainSlugs[chainId] ou chainId)
+ *   chains : ids DexScreener, "*" = toutes
+ * - Cible "Ouvrir dans" choisie par l'utilisateur (localStorage), repli sur le 1er lien de la chaîne
+ */
+import registry from "../config/links.json";
+import { readJSON, writeJSON } from "./storage.js";
+
+export const LINKS = [...registry].sort((a, b) => a.order - b.order);
+
+export const DEFAULT_OPEN_TARGET = "photon";
+
+export function getLink(id) {
+  return LINKS.find(l => l.id === id) || null;
+}
+
+export function supportsChain(link, chainId) {
+  return link.chains.includes("*") || link.chains.includes(chainId);
+}
+
+export function buildLinkUrl(link, ca, chainId = "solana") {
+  return link.template
+    .replace(/\{ca\}/g, ca)
+    .replace(/\{ref\}/g, link.referral || "")
+    .replace(/\{chain\}/g, link.chainSlugs?.[chainId] || chainId);
+}
+
+// Liens affichés pour une chaîne (pop-up), dans l'ordre du registre
+export function linksFor(chainId) {
+  return LINKS.filter(l => supportsChain(l, chainId));
+}
+
+// Cible du clic "ouvrir" : préférence utilisateur si elle couvre la chaîne, sinon 1er lien de trading
+export function openLinkFor(chainId, preferredId = DEFAULT_OPEN_TARGET) {
+  const preferred = getLink(preferredId);
+  if (preferred && supportsChain(preferred, chainId)) return preferred;
+  const list = linksFor(chainId);
+  return list.find(l => !l.chains.includes("*")) || list[0];
+}
+
+export function loadOpenTarget() {
+  const id = readJSON("links.open", DEFAULT_OPEN_TARGET);
+  return getLink(id) ? id : DEFAULT_OPEN_TARGET;
+}
+
+export function saveOpenTarget(id) {
+  writeJSON("links.open", id);
+}
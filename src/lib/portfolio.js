@@ -0,0 +1,85 @@
+/**
+ * Portefeuille fictif (paper trading, localStorage)
+ * - Position : { id, ca, chainId, symbol, entryPrice, size, at } ; size = montant investi en $, at = date d'entrée (ms)
+ * - Valorisée au priceUsd du dernier refresh : quantité = size / entryPrice, PnL latent en $ et en %
+ * - Tokens toujours chargés par load() (comme la watchlist), même hors boosts et hors filtres
+ * - Import / export JSON (même enveloppe que les presets)
+ */
+import { readJSON, writeJSON } from "./storage.js";
+import { t } from "./i18n.js";
+
+function sanitizePosition(p) {
+  if (!p || typeof p.ca !== "string" || !p.ca.trim()) return null;
+  const entryPrice = +p.entryPrice;
+  const size = +p.size;
+  if (!(entryPrice > 0) || !(size > 0)) return null;
+  return {
+    id: typeof p.id === "string" && p.id ? p.id : newId(),
+    ca: p.ca.trim(),
+    chainId: typeof p.chainId === "string" && p.chainId ? p.chainId : "solana",
+    symbol: typeof p.symbol === "string" ? p.symbol : "",
+    entryPrice,
+    size,
+    at: Number.isFinite(+p.at) && +p.at > 0 ? +p.at : Date.now(),
+  };
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadPortfolio() {
+  const list = readJSON("portfolio", []);
+  return Array.isArray(list) ? list.map(sanitizePosition).filter(Boolean) : [];
+}
+
+export function savePortfolio(positions) {
+  writeJSON("portfolio", positions);
+}
+
+// → nouvelle liste, ou null si la position est invalide (prix / montant ≤ 0, CA vide)
+export function addPosition(positions, position) {
+  const p = sanitizePosition({ ...position, id: undefined });
+  return p ? [...positions, p] : null;
+}
+
+export function removePosition(positions, id) {
+  return positions.filter(p => p.id !== id);
+}
+
+// Les imports remplacent les positions de même id, ajoutent les autres
+export function mergePositions(positions, imported) {
+  const ids = new Set(imported.map(p => p.id));
+  return [...positions.filter(p => !ids.has(p.id)), ...imported];
+}
+
+// ------------------ Valorisation ------------------
+
+// price : priceUsd courant (null si le token n'est pas chargé) ; rank : rang hype sur le board (null si absent)
+export function valuePosition(p, price, rank = null) {
+  const qty = p.size / p.entryPrice;
+  if (!(price > 0)) return { ...p, qty, price: null, value: null, pnl: null, pnlPct: null, rank };
+  const value = qty * price;
+  return { ...p, qty, price, value, pnl: value - p.size, pnlPct: (price / p.entryPrice - 1) * 100, rank };
+}
+
+// Totaux sur les positions valorisées uniquement (les autres sont comptées à part)
+export function portfolioTotals(rows) {
+  const valued = rows.filter(r => r.value != null);
+  const invested = valued.reduce((s, r) => s + r.size, 0);
+  const value = valued.reduce((s, r) => s + r.value, 0);
+  return { invested, value, pnl: value - invested, pnlPct: invested ? (value / invested - 1) * 100 : null, missing: rows.length - valued.length };
+}
+
+// ------------------ Import / export ------------------
+
+export function exportPortfolio(positions) {
+  return { type: "trenchboard.portfolio", version: 1, positions };
+}
+
+// Accepte un export complet ou une liste de positions
+export function parsePortfolioImport(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.positions) ? data.positions : null;
+  if (!list) throw new Error(t("errors.portfolioInvalid"));
+  return list.map(sanitizePosition).filter(Boolean);
+}
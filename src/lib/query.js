@@ -0,0 +1,182 @@
+/**
+ * Langage de filtre de la barre de recherche
+ * - Ex. : `mc<5m liq>50k chg1h>20 age<2h dex:raydium,orca bonk`
+ * - Comparaisons : <champ><op><valeur> avec op ∈ < <= > >= = != ; suffixes k / m / b (et % ignoré)
+ *   Champs : mc, liq, vol, txns, chg (timeframe courant, ou suffixés 5m / 1h / 6h / 24h), age, boost, hype, price
+ *   age : durée de la paire (s, m, h, d ; minutes par défaut)
+ * - Listes : dex:a,b · chain:a,b · risk:ok|warn|danger
+ * - Mot libre (ou "entre guillemets") : recherche dans le nom / symbole, comme avant
+ * - Un terme invalide est ignoré et remonté dans errors (affichage inline), le reste s'applique
+ * - Le panneau Filtres édite la même chaîne (setRange / setList) : une seule source de vérité (URL, presets)
+ */
+import { t } from "./i18n.js";
+
+const TF_SUFFIX = { "5m": "m5", "1h": "h1", "6h": "h6", "24h": "h24" };
+const num = (v) => (isFinite(+v) ? +v : 0);
+
+// Libellé traduit à la lecture : "query.fields.<key>" (+ suffixe de timeframe)
+function labelled(key, def, suffix = "") {
+  return Object.defineProperty(def, "label", { enumerable: true, get: () => t(`query.fields.${key}`) + suffix });
+}
+
+function perTimeframe(key, unit, read) {
+  const out = { [key]: labelled(key, { unit, get: (n, p, tf) => read(n, p, tf) }) };
+  for (const [suffix, tf] of Object.entries(TF_SUFFIX)) {
+    out[key + suffix] = labelled(key, { unit, get: (n, p) => read(n, p, tf) }, ` ${suffix}`);
+  }
+  return out;
+}
+
+// get(node, pair, timeframe) → nombre
+export const QUERY_FIELDS = {
+  mc: labelled("mc", { unit: "usd", get: n => n.mc }),
+  liq: labelled("liq", { unit: "usd", get: n => n.liquidity }),
+  ...perTimeframe("vol", "usd", (n, p, tf) => num(p?.volume?.[tf])),
+  ...perTimeframe("txns", "count", (n, p, tf) => num(p?.txns?.[tf]?.buys) + num(p?.txns?.[tf]?.sells)),
+  ...perTimeframe("chg", "pct", (n, p, tf) => num(p?.priceChange?.[tf])),
+  age: labelled("age", { unit: "age", get: (n, p) => (p?.pairCreatedAt ? Date.now() - p.pairCreatedAt : Infinity) }),
+  boost: labelled("boost", { unit: "count", get: n => n.boost || 0 }),
+  hype: labelled("hype", { unit: "count", get: n => n.hype }),
+  price: labelled("price", { unit: "usd", get: n => n.priceUsd }),
+};
+
+export const LIST_FIELDS = {
+  dex: labelled("dex", { get: (n, p) => (p?.dexId || "").toLowerCase() }),
+  chain: labelled("chain", { get: n => n.chainId }),
+  risk: labelled("risk", { get: n => n.risk?.level || "ok" }),
+};
+
+// Champs proposés par le panneau Filtres (les variantes suffixées restent accessibles au clavier)
+export const RANGE_FIELDS = ["mc", "liq", "vol", "txns", "chg", "age", "boost"];
+
+const MULT = { k: 1e3, m: 1e6, b: 1e9 };
+const AGE_MS = { s: 1e3, m: 60e3, min: 60e3, h: 3600e3, d: 86400e3, j: 86400e3 };
+
+function parseNumber(raw, unit) {
+  const s = raw.trim().toLowerCase();
+  if (unit === "age") {
+    const m = s.match(/^(\d+(?:\.\d+)?)(s|min|m|h|d|j)?$/);
+    return m ? +m[1] * AGE_MS[m[2] || "m"] : null;
+  }
+  const m = s.match(/^(-?\d+(?:\.\d+)?)([kmb%])?$/);
+  if (!m) return null;
+  return +m[1] * (MULT[m[2]] || 1);
+}
+
+export function formatNumber(value, unit) {
+  if (unit === "age") {
+    for (const [u, ms] of [["d", AGE_MS.d], ["h", AGE_MS.h], ["m", AGE_MS.m]]) {
+      if (value >= ms && value % ms === 0) return `${value / ms}${u}`;
+    }
+    return `${+(value / AGE_MS.m).toFixed(2)}m`;
+  }
+  const abs = Math.abs(value);
+  for (const [u, k] of [["b", 1e9], ["m", 1e6], ["k", 1e3]]) {
+    if (abs >= k && Number.isInteger(Math.round((abs / k) * 1e6) / 1e3)) return `${+(value / k).toFixed(3)}${u}`;
+  }
+  return String(value);
+}
+
+// Saisie du panneau Filtres ("50k", "2h"…) → nombre ou null
+export function parseFieldValue(field, raw) {
+  return raw.trim() ? parseNumber(raw, QUERY_FIELDS[field].unit) : null;
+}
+
+// Découpe en termes en respectant les "guillemets"
+function tokenize(str) {
+  return (str.match(/"[^"]*"|\S+/g) || []);
+}
+
+// → { clauses: [{ kind: "cmp"|"list"|"text", ... , raw }], errors: [string] }
+export function parseQuery(str = "") {
+  const clauses = [];
+  const errors = [];
+  for (const raw of tokenize(str)) {
+    if (raw.startsWith('"')) {
+      const text = raw.replace(/"/g, "").trim().toLowerCase();
+      if (text) clauses.push({ kind: "text", value: text, raw });
+      continue;
+    }
+    const m = raw.match(/^([a-z][a-z0-9]*)(<=|>=|!=|<|>|=|:)(.*)$/i);
+    if (!m) {
+      clauses.push({ kind: "text", value: raw.toLowerCase(), raw });
+      continue;
+    }
+    const field = m[1].toLowerCase();
+    const op = m[2];
+    const value = m[3];
+    if (LIST_FIELDS[field]) {
+      if (!["=", ":", "!="].includes(op)) { errors.push(t("query.errors.listOp", { raw, field })); continue; }
+      const values = value.toLowerCase().split(",").map(v => v.trim()).filter(Boolean);
+      if (!values.length) { errors.push(t("query.errors.missingValue", { raw })); continue; }
+      clauses.push({ kind: "list", field, negate: op === "!=", values, raw });
+      continue;
+    }
+    const def = QUERY_FIELDS[field];
+    if (!def) { errors.push(t("query.errors.unknownField", { raw, field })); continue; }
+    const n = parseNumber(value, def.unit);
+    if (n == null) { errors.push(t("query.errors.invalidNumber", { raw, value })); continue; }
+    clauses.push({ kind: "cmp", field, op: op === ":" ? "=" : op, value: n, raw });
+  }
+  return { clauses, errors };
+}
+
+const CMP = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// → (node, pair) => bool ; timeframe : champs non suffixés (vol, txns, chg)
+export function compileQuery(parsed, timeframe = "h1") {
+  const tests = parsed.clauses.map(c => {
+    if (c.kind === "text") return n => n.symbol?.toLowerCase().includes(c.value) || n.name?.toLowerCase().includes(c.value);
+    if (c.kind === "list") {
+      const get = LIST_FIELDS[c.field].get;
+      return (n, p) => c.values.includes(get(n, p)) !== c.negate;
+    }
+    const get = QUERY_FIELDS[c.field].get;
+    return (n, p) => CMP[c.op](get(n, p, timeframe), c.value);
+  });
+  return (n, p) => tests.every(test => test(n, p));
+}
+
+// ------------------ Édition depuis le panneau Filtres ------------------
+export function rangeOf(parsed, field) {
+  const range = { min: null, max: null };
+  for (const c of parsed.clauses) {
+    if (c.kind !== "cmp" || c.field !== field) continue;
+    if (c.op === ">" || c.op === ">=") range.min = c.value;
+    if (c.op === "<" || c.op === "<=") range.max = c.value;
+    if (c.op === "=") range.min = range.max = c.value;
+  }
+  return range;
+}
+
+export function listOf(parsed, field) {
+  const c = parsed.clauses.find(x => x.kind === "list" && x.field === field && !x.negate);
+  return c ? c.values : [];
+}
+
+function replaceTerms(str, keep, added) {
+  const kept = tokenize(str).filter(raw => {
+    const c = parseQuery(raw).clauses[0];
+    return !c || keep(c);
+  });
+  return [...kept, ...added].join(" ");
+}
+
+export function setRange(str, field, { min, max }) {
+  const unit = QUERY_FIELDS[field].unit;
+  const added = [];
+  if (min != null) added.push(`${field}>=${formatNumber(min, unit)}`);
+  if (max != null) added.push(`${field}<=${formatNumber(max, unit)}`);
+  return replaceTerms(str, c => !(c.kind === "cmp" && c.field === field), added);
+}
+
+export function setList(str, field, values) {
+  return replaceTerms(str, c => !(c.kind === "list" && c.field === field && !c.negate), values.length ? [`${field}:${values.join(",")}`] : []);
+}
@@ -0,0 +1,106 @@
+/**
+ * Planificateur d'auto-refresh (remplace le setInterval fixe de 60s)
+ * - Intervalle au choix (REFRESH_INTERVALS, mémorisé en localStorage), pause / reprise
+ * - Onglet masqué : plus de requêtes ; au retour, refresh immédiat si l'échéance est passée
+ * - Échec : backoff exponentiel (intervalle × 2^échecs, plafonné à MAX_BACKOFF_S)
+ * - Un seul load() à la fois : un nouveau refresh annule le précédent (AbortController)
+ * - onChange(state) : { interval, paused, hidden, loading, failures, nextAt } pour le compte à rebours
+ */
+import { readJSON, writeJSON } from "./storage.js";
+
+export const REFRESH_INTERVALS = [15, 30, 60, 120, 300]; // secondes
+export const DEFAULT_INTERVAL = 60;
+export const MAX_BACKOFF_S = 600;
+
+export function loadRefreshInterval() {
+  const s = readJSON("refresh.interval", DEFAULT_INTERVAL);
+  return REFRESH_INTERVALS.includes(s) ? s : DEFAULT_INTERVAL;
+}
+
+export function saveRefreshInterval(s) {
+  writeJSON("refresh.interval", s);
+}
+
+// Délai avant le prochain refresh (ms)
+export function backoffDelay(interval, failures) {
+  return Math.min(MAX_BACKOFF_S, interval * 2 ** failures) * 1000;
+}
+
+export function isAbort(e) {
+  return e?.name === "AbortError";
+}
+
+// run(signal) : Promise, rejette en cas d'échec
+export function createRefreshScheduler({ run, interval = DEFAULT_INTERVAL, onChange = () => {}, doc = typeof document !== "undefined" ? document : null }) {
+  const state = { interval, paused: false, hidden: !!doc?.hidden, loading: false, failures: 0, nextAt: null };
+  let dueAt = 0;        // échéance théorique, même en pause / onglet masqué
+  let timer = null;
+  let controller = null;
+
+  const emit = () => onChange({ ...state });
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    state.nextAt = null;
+    if (!state.paused && !state.hidden && !state.loading && dueAt) {
+      state.nextAt = Math.max(Date.now(), dueAt);
+      timer = setTimeout(refresh, state.nextAt - Date.now());
+    }
+    emit();
+  }
+
+  async function refresh() {
+    controller?.abort();
+    const own = controller = new AbortController();
+    clearTimeout(timer);
+    state.loading = true;
+    emit();
+    try {
+      await run(own.signal);
+      state.failures = 0;
+    } catch (e) {
+      if (own.signal.aborted || isAbort(e)) return; // remplacé par un refresh plus récent
+      state.failures += 1;
+    }
+    if (controller !== own) return;
+    controller = null;
+    state.loading = false;
+    dueAt = Date.now() + backoffDelay(state.interval, state.failures);
+    arm();
+  }
+
+  // Reprise (pause levée, onglet visible) : refresh tout de suite si l'échéance est dépassée
+  function resumeOrRefresh() {
+    if (!state.paused && !state.hidden && !state.loading && dueAt && dueAt <= Date.now()) refresh();
+    else arm();
+  }
+
+  function onVisibility() {
+    state.hidden = doc.hidden;
+    resumeOrRefresh();
+  }
+
+  function changeInterval(s) {
+    dueAt = dueAt && dueAt - backoffDelay(state.interval, state.failures) + backoffDelay(s, state.failures);
+    state.interval = s;
+    resumeOrRefresh();
+  }
+
+  function pause() { state.paused = true; arm(); }
+  function resume() { state.paused = false; resumeOrRefresh(); }
+
+  function start() {
+    doc?.addEventListener("visibilitychange", onVisibility);
+    emit();
+  }
+
+  function stop() {
+    doc?.removeEventListener("visibilitychange", onVisibility);
+    clearTimeout(timer);
+    controller?.abort();
+    controller = null;
+  }
+
+  return { start, stop, refresh, pause, resume, changeInterval };
+}
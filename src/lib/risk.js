@@ -0,0 +1,90 @@
+/**
+ * Signaux de risque ("red flags") dérivés d'une paire DexScreener + profil du token
+ * - Chaque flag : { id, label, short, weight, test(pair, ctx) → détail | null }
+ * - Niveau : somme des poids des flags levés → "ok" | "warn" | "danger" (RISK_DANGER et plus)
+ * - Le filtre "Masquer risqués" cache les tokens "danger" (sauf watchlist)
+ * - Libellés et détails traduits (risk.flags.* / risk.details.*) : à recalculer au changement de langue
+ */
+import { fmtPct, fmtUsd, t } from "./i18n.js";
+
+const num = (v) => (isFinite(+v) ? +v : 0);
+const pct = (v) => fmtPct(v * 100, v < 0.1 ? 1 : 0);
+
+export const RISK_DANGER = 3;
+
+export const RISK_FLAGS = [
+  {
+    id: "young", short: "NEW", weight: 2,
+    test(pair, { now }) {
+      if (!pair.pairCreatedAt) return null;
+      const min = (now - pair.pairCreatedAt) / 60e3;
+      return min < 60 ? t("risk.details.young", { min: Math.max(0, Math.round(min)) }) : null;
+    },
+  },
+  {
+    id: "thinLiquidity", short: "LIQ", weight: 3,
+    test(pair) {
+      const mc = num(pair.fdv ?? pair.marketCap);
+      const liq = num(pair.liquidity?.usd);
+      if (!mc) return null;
+      return liq / mc < 0.03 ? t("risk.details.thinLiquidity", { pct: pct(liq / mc) }) : null;
+    },
+  },
+  {
+    id: "sellPressure", short: "SELL", weight: 2,
+    test(pair) {
+      for (const tf of ["h1", "h6"]) {
+        const buys = num(pair.txns?.[tf]?.buys);
+        const sells = num(pair.txns?.[tf]?.sells);
+        if (buys + sells >= 20 && sells / (buys + sells) >= 0.75) return t("risk.details.sellPressure", { pct: pct(sells / (buys + sells)), tf });
+      }
+      return null;
+    },
+  },
+  {
+    id: "noProfile", short: "ANON", weight: 1,
+    test(pair, { profile }) {
+      const socials = (pair.info?.socials?.length || 0) + (pair.info?.websites?.length || 0) + (profile?.links?.length || 0);
+      const icon = profile?.icon || pair.info?.imageUrl;
+      return !profile && !socials && !icon ? t("risk.details.noProfile") : null;
+    },
+  },
+  {
+    id: "pumpLowVolume", short: "PUMP", weight: 2,
+    test(pair) {
+      for (const tf of ["m5", "h1", "h6"]) {
+        const chg = num(pair.priceChange?.[tf]);
+        const vol = num(pair.volume?.[tf]);
+        if (Math.abs(chg) >= 50 && vol < 10000) return t("risk.details.pumpLowVolume", { chg: `${chg > 0 ? "+" : ""}${fmtPct(chg, 0)}`, tf, vol: fmtUsd(vol) });
+      }
+      return null;
+    },
+  },
+];
+
+for (const f of RISK_FLAGS) Object.defineProperty(f, "label", { enumerable: true, get: () => t(`risk.flags.${f.id}`) });
+
+export const RISK_COLORS = { ok: "#8a97b2", warn: "#FFB020", danger: "#cc2442" };
+
+// → { level, score, flags: [{ id, label, short, detail }] }
+export function computeRisk(pair, profile, { now = Date.now() } = {}) {
+  if (!pair) return { level: "ok", score: 0, flags: [] };
+  const flags = [];
+  let score = 0;
+  for (const f of RISK_FLAGS) {
+    const detail = f.test(pair, { profile, now });
+    if (!detail) continue;
+    flags.push({ id: f.id, label: f.label, short: f.short, detail });
+    score += f.weight;
+  }
+  const level = score >= RISK_DANGER ? "danger" : score > 0 ? "warn" : "ok";
+  return { level, score, flags };
+}
+
+export function isRisky(risk) {
+  return risk?.level === "danger";
+}
+
+export function describeRisk(risk) {
+  return (risk?.flags || []).map(f => `${f.label} (${f.detail})`).join(" · ");
+}
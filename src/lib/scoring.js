@@ -0,0 +1,146 @@
+/**
+ * Moteur de score "hype"
+ * - FACTORS : extraction d'une valeur brute par paire (timeframe courant, boost, âge…)
+ * - NORMALIZERS : ramène chaque facteur dans [0, 1] sur l'ensemble du board (min-max, rang, log, z-score, borné)
+ * - hype = Σ poids × facteur normalisé ; les contributions par facteur sont gardées sur chaque nœud
+ * - Profils de poids nommés : intégrés (BUILTIN_PROFILES) + profils utilisateur (localStorage)
+ *   Les noms intégrés restent des identifiants stables (URL, presets) ; seul l'affichage est traduit (profileLabel)
+ */
+import * as d3 from "d3";
+import { readJSON, writeJSON } from "./storage.js";
+import { t } from "./i18n.js";
+
+const num = (v) => (isFinite(+v) ? +v : 0);
+const txnsOf = (p, tf) => ({ buys: p.txns?.[tf]?.buys || 0, sells: p.txns?.[tf]?.sells || 0 });
+
+// invert : plus la valeur brute est basse, plus le facteur contribue (ex. paire récente)
+// clamp : domaine fixe utilisé par la normalisation "borné"
+export const FACTORS = [
+  { key: "price", clamp: [-50, 50], extract: (p, { timeframe }) => num(p.priceChange?.[timeframe]) },
+  { key: "volume", extract: (p, { timeframe }) => num(p.volume?.[timeframe]) },
+  { key: "txns", extract: (p, { timeframe }) => { const tx = txnsOf(p, timeframe); return tx.buys + tx.sells; } },
+  { key: "boost", extract: (_, { boost }) => num(boost) },
+  { key: "liquidity", extract: (p) => num(p.liquidity?.usd) },
+  { key: "buySell", clamp: [0, 1], extract: (p, { timeframe }) => {
+      const tx = txnsOf(p, timeframe);
+      return tx.buys + tx.sells ? tx.buys / (tx.buys + tx.sells) : 0.5;
+    } },
+  { key: "age", invert: true, extract: (p, { now }) => (p.pairCreatedAt ? Math.max(0, (now - p.pairCreatedAt) / 3600000) : 24 * 365) },
+  { key: "mcLiq", invert: true, extract: (p) => {
+      const liq = num(p.liquidity?.usd);
+      return liq ? num(p.fdv ?? p.marketCap) / liq : 0;
+    } },
+  { key: "momentum", clamp: [-50, 50], extract: (p) => {
+      const c = p.priceChange || {};
+      return num(c.m5) * 0.4 + num(c.h1) * 0.3 + num(c.h6) * 0.2 + num(c.h24) * 0.1;
+    } },
+];
+
+// Libellés traduits à la lecture (changement de langue sans recharger)
+for (const f of FACTORS) Object.defineProperty(f, "label", { enumerable: true, get: () => t(`scoring.factors.${f.key}`) });
+
+export const FACTOR_KEYS = FACTORS.map(f => f.key);
+
+// Domaine dégénéré (vide, valeurs toutes égales) → 0.5 pour tous
+function minmax(values) {
+  const [lo, hi] = d3.extent(values);
+  if (lo === undefined || lo === hi) return values.map(() => 0.5);
+  return values.map(d3.scaleLinear().domain([lo, hi]).range([0, 1]));
+}
+
+// Valeurs non finies traitées comme 0, comme dans les extracteurs (num)
+export const NORMALIZERS = {
+  minmax: { fn: (values) => minmax(values.map(num)) },
+  rank: { fn: (raw) => {
+      const values = raw.map(num);
+      if (values.length < 2) return values.map(() => 0.5);
+      const sorted = [...values].sort(d3.ascending);
+      // ex-aequo : rang moyen
+      return values.map(v => ((d3.bisectLeft(sorted, v) + d3.bisectRight(sorted, v) - 1) / 2) / (sorted.length - 1));
+    } },
+  log: { fn: (values) => minmax(values.map(num).map(v => Math.sign(v) * Math.log1p(Math.abs(v)))) },
+  zscore: { fn: (raw) => {
+      const values = raw.map(num);
+      const mean = d3.mean(values) || 0;
+      const sd = d3.deviation(values) || 0;
+      return values.map(v => (sd ? (Math.max(-3, Math.min(3, (v - mean) / sd)) + 3) / 6 : 0.5));
+    } },
+  clamp: { fn: (values, factor) => {
+      if (!factor.clamp) return minmax(values.map(num));
+      return values.map(num).map(d3.scaleLinear().domain(factor.clamp).range([0, 1]).clamp(true));
+    } },
+};
+
+for (const [k, n] of Object.entries(NORMALIZERS)) Object.defineProperty(n, "label", { enumerable: true, get: () => t(`scoring.normalizers.${k}`) });
+
+export function normalizersFor(factor) {
+  return Object.keys(NORMALIZERS).filter(k => k !== "clamp" || factor.clamp);
+}
+
+const zeros = () => Object.fromEntries(FACTOR_KEYS.map(k => [k, 0]));
+const allNorm = (norm) => Object.fromEntries(FACTOR_KEYS.map(k => [k, norm]));
+
+export const BUILTIN_PROFILES = {
+  Classique: {
+    weights: { ...zeros(), price: 0.5, volume: 0.3, txns: 0.1, boost: 0.1 },
+    norms: { ...allNorm("minmax"), price: "clamp" },
+  },
+  Robuste: {
+    weights: { ...zeros(), price: 0.3, volume: 0.25, txns: 0.1, boost: 0.1, liquidity: 0.15, buySell: 0.1 },
+    norms: allNorm("rank"),
+  },
+  Momentum: {
+    weights: { ...zeros(), momentum: 0.4, volume: 0.2, buySell: 0.2, age: 0.1, boost: 0.1 },
+    norms: { ...allNorm("log"), momentum: "zscore", buySell: "clamp" },
+  },
+};
+
+export const DEFAULT_PROFILE = "Classique";
+
+// Complète un profil partiel (anciens réglages, import…) avec les valeurs par défaut
+export function completeProfile(profile = {}) {
+  const base = BUILTIN_PROFILES[DEFAULT_PROFILE];
+  const weights = { ...zeros(), ...(profile.weights || {}) };
+  const norms = { ...base.norms, ...(profile.norms || {}) };
+  for (const f of FACTORS) if (!normalizersFor(f).includes(norms[f.key])) norms[f.key] = "minmax";
+  return { weights, norms };
+}
+
+/**
+ * rows : [{ pair, boost }] → [{ hype, factors: { key: contribution } }] (même ordre)
+ */
+export function scoreRows(rows, { weights, norms }, { timeframe, now = Date.now() }) {
+  const normalized = {};
+  for (const f of FACTORS) {
+    if (!weights[f.key]) continue;
+    const raw = rows.map(r => f.extract(r.pair, { timeframe, boost: r.boost, now }));
+    const n = NORMALIZERS[norms[f.key]] || NORMALIZERS.minmax;
+    normalized[f.key] = n.fn(raw, f).map(v => (f.invert ? 1 - v : v));
+  }
+  return rows.map((_, i) => {
+    const factors = {};
+    let hype = 0;
+    for (const key of Object.keys(normalized)) {
+      factors[key] = normalized[key][i] * weights[key];
+      hype += factors[key];
+    }
+    return { hype, factors };
+  });
+}
+
+// ------------------ Profils utilisateur ------------------
+export function loadUserProfiles() {
+  return readJSON("scoring.profiles", {});
+}
+
+export function saveUserProfiles(profiles) {
+  writeJSON("scoring.profiles", profiles);
+}
+
+export function profileLabel(name) {
+  return BUILTIN_PROFILES[name] ? t(`scoring.profiles.${name}`) : name;
+}
+
+export function allProfiles(userProfiles) {
+  return { ...BUILTIN_PROFILES, ...userProfiles };
+}
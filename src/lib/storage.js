@@ -0,0 +1,24 @@
+/**
+ * localStorage JSON (préfixe "trenchboard.")
+ * - Ne jette jamais : stockage plein / désactivé → fallback + warning console
+ */
+
+const PREFIX = "trenchboard.";
+
+export function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    console.warn(`Lecture "${key}" impossible :`, e.message);
+    return fallback;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Écriture "${key}" impossible :`, e.message);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Thèmes et palettes
+ * - THEMES : sombre (défaut), clair, contraste élevé ; appliqués en variables CSS (--tb-*) lues par Tailwind
+ *   (bg-panel, text-white/60… : "white" = couleur du texte du thème) et par les rendus D3 / canvas via getTheme()
+ * - PALETTES : échelle divergente de la variation de prix, dont deux sûres pour les daltoniens
+ * - Domaine de la variation réglable (±CHG_RANGES %) ; remplissage des bulles : dégradé ou 2e métrique (FILL_MODES)
+ * - Préférences mémorisées (localStorage "theme") ; par défaut : prefers-contrast / prefers-color-scheme
+ */
+import * as d3 from "d3";
+import { RISK_COLORS } from "./risk.js";
+import { t } from "./i18n.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+// page / panel / surface / raised : fonds ; fg : texte ; ink : texte posé sur une couleur vive (bulle, treemap, badge)
+export const THEMES = {
+  dark: {
+    scheme: "dark",
+    page: "#090a0f", panel: "#0f1117", surface: "#0b0f14", raised: "#141a26",
+    fg: "#ffffff", shade: "#000000", ink: "#0b0f14",
+    accent: "#14F195", accent2: "#9945FF", warn: "#FFB020", danger: "#cc2442", gold: "#FFD166", neutral: "#8a97b2",
+    outline: "#0d1626", focus: "#ffffff",
+    backdrop: ["#9945FF", "#00FFA3"], bubble: ["#14F195", "#9945FF"],
+  },
+  light: {
+    scheme: "light",
+    page: "#f4f6fa", panel: "#ffffff", surface: "#eef1f6", raised: "#e2e7ef",
+    fg: "#0b0f14", shade: "#0b0f14", ink: "#0b0f14",
+    accent: "#0a9e64", accent2: "#7a3ddb", warn: "#b7791f", danger: "#c21f3a", gold: "#b8860b", neutral: "#7b869b",
+    outline: "#ffffff", focus: "#0b0f14",
+    backdrop: ["#7a3ddb", "#0a9e64"], bubble: ["#2ee6a0", "#a77bf0"],
+  },
+  contrast: {
+    scheme: "dark",
+    page: "#000000", panel: "#000000", surface: "#000000", raised: "#161616",
+    fg: "#ffffff", shade: "#000000", ink: "#000000",
+    accent: "#00ff9c", accent2: "#d0a2ff", warn: "#ffd000", danger: "#ff4d6d", gold: "#ffe066", neutral: "#c8d0e0",
+    outline: "#ffffff", focus: "#ffff00",
+    backdrop: ["#000000", "#000000"], bubble: ["#00ff9c", "#b47cff"],
+  },
+};
+for (const id of Object.keys(THEMES)) {
+  Object.defineProperty(THEMES[id], "label", { get: () => t(`theme.themes.${id}`), enumerable: true });
+}
+
+// Variation de prix : [baisse, hausse] ; le centre est le neutre du thème. null = couleurs du thème (vert / rouge)
+export const PALETTES = {
+  classic: { colors: null, safe: false },
+  blueOrange: { colors: ["#E69F00", "#56B4E9"], safe: true }, // Okabe-Ito
+  redBlue: { colors: ["#d6604d", "#4393c3"], safe: true }, // ColorBrewer RdBu
+};
+for (const id of Object.keys(PALETTES)) {
+  Object.defineProperty(PALETTES[id], "label", { get: () => t(`theme.palettes.${id}`), enumerable: true });
+}
+
+export const CHG_RANGES = [5, 10, 20, 50, 100]; // ±% à saturation
+export const FILL_MODES = ["gradient", "liquidity", "mc", "risk"];
+
+export const THEME_DEFAULTS = { theme: "dark", palette: "classic", range: 20, fill: "gradient" };
+
+function systemTheme() {
+  if (typeof window === "undefined" || !window.matchMedia) return THEME_DEFAULTS.theme;
+  if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia("(prefers-color-scheme: light)").matches ? "light" : "dark";
+}
+
+// Valeurs inconnues (ancien stockage, saisie) → défaut
+export function normalizePrefs(p = {}) {
+  return {
+    theme: THEMES[p.theme] ? p.theme : THEME_DEFAULTS.theme,
+    palette: PALETTES[p.palette] ? p.palette : THEME_DEFAULTS.palette,
+    range: CHG_RANGES.includes(+p.range) ? +p.range : THEME_DEFAULTS.range,
+    fill: FILL_MODES.includes(p.fill) ? p.fill : THEME_DEFAULTS.fill,
+  };
+}
+
+export function loadThemePrefs() {
+  return normalizePrefs({ theme: systemTheme(), ...readJSON("theme", {}) });
+}
+
+let current = normalizePrefs();
+
+export function getTheme() {
+  return THEMES[current.theme];
+}
+
+export function getThemePrefs() {
+  return current;
+}
+
+const rgb = (hex) => { const c = d3.rgb(hex); return `${c.r} ${c.g} ${c.b}`; };
+
+// Applique le thème (variables CSS sur <html>) ; persist : choix explicite de l'utilisateur
+export function setThemePrefs(prefs, { persist = true } = {}) {
+  current = normalizePrefs(prefs);
+  const theme = getTheme();
+  if (typeof document !== "undefined") {
+    const root = document.documentElement;
+    for (const key of ["page", "panel", "surface", "raised", "fg", "shade", "accent", "accent2", "warn", "danger", "gold"]) {
+      root.style.setProperty(`--tb-${key}`, rgb(theme[key]));
+    }
+    root.style.colorScheme = theme.scheme;
+    root.dataset.theme = current.theme;
+  }
+  if (persist) writeJSON("theme", current);
+  return current;
+}
+
+// ------------------ Échelles ------------------
+
+export function paletteColors(palette = current.palette, theme = getTheme()) {
+  const [down, up] = PALETTES[palette]?.colors || [theme.danger, theme.accent];
+  return { down, neutral: theme.neutral, up };
+}
+
+// Variation de prix (%) → couleur, saturée à ±range
+export function changeScale({ palette, range } = current) {
+  const { down, neutral, up } = paletteColors(palette);
+  return d3.scaleLinear().domain([-range, 0, range]).range([down, neutral, up]).clamp(true);
+}
+
+// Tendance d'une courbe (sparkline, prix 24h) : couleur de hausse / baisse de la palette
+export function trendColor(first, last) {
+  const { down, neutral, up } = paletteColors();
+  return last > first ? up : last < first ? down : neutral;
+}
+
+// Remplissage des bulles selon une 2e métrique → (d) => couleur, ou null pour le dégradé du thème
+export function fillScale(mode, nodes) {
+  const theme = getTheme();
+  if (mode === "risk") {
+    return (d) => (d.risk?.level && d.risk.level !== "ok" ? RISK_COLORS[d.risk.level] : theme.neutral);
+  }
+  if (mode !== "liquidity" && mode !== "mc") return null;
+  const [lo, hi] = d3.extent(nodes.map(n => n[mode]).filter(v => v > 0));
+  if (lo == null) return () => theme.neutral;
+  // viridis sans son extrémité sombre : le symbole (noir) reste lisible
+  const scale = d3.scaleSequentialLog(v => d3.interpolateViridis(0.3 + v * 0.7)).domain(lo === hi ? [lo, lo * 10] : [lo, hi]);
+  return (d) => (d[mode] > 0 ? scale(d[mode]) : theme.neutral);
+}
+
+// Dégradés SVG partagés (bubble map, export) : #bg (fond) et #bubble-fill, recolorés à chaque appel
+export function paintGradients(defs, theme = getTheme()) {
+  const spec = [
+    { id: "bg", cy: "0%", stops: [[theme.backdrop[0], 0.18], [theme.backdrop[1], 0.06]] },
+    { id: "bubble-fill", cy: "50%", stops: [[theme.bubble[0], 0.9], [theme.bubble[1], 0.6]] },
+  ];
+  defs.selectAll("radialGradient.themed").data(spec, d => d.id).join("radialGradient")
+    .attr("class", "themed").attr("id", d => d.id).attr("cx", "50%").attr("cy", d => d.cy)
+    .selectAll("stop").data(d => d.stops).join("stop")
+    .attr("offset", (_, i) => (i ? "100%" : "0%"))
+    .attr("stop-color", s => s[0]).attr("stop-opacity", s => s[1]);
+}
+
+// Couleur + opacité pour le canvas
+export function withAlpha(color, alpha) {
+  const c = d3.color(color);
+  c.opacity = alpha;
+  return c.formatRgb();
+}
@@ -0,0 +1,90 @@
+/**
+ * Vue détail d'un token : dérivations à partir des paires brutes DexScreener et du profil
+ * - Résumé (mêmes champs que les nœuds) quand le token n'est pas sur le board
+ * - Stats par timeframe (variation, volume, achats / ventes), âge des paires
+ * - Liens : site(s) et réseaux sociaux du profil et des paires, dédoublonnés
+ * - Courbe de prix : historique local + points reconstruits depuis les variations m5/h1/h6/h24
+ */
+import { TIMEFRAMES } from "./viewState.js";
+import { t } from "./i18n.js";
+
+const TF_MS = { m5: 5 * 60e3, h1: 3600e3, h6: 6 * 3600e3, h24: 24 * 3600e3 };
+
+const num = (v) => (isFinite(+v) ? +v : 0);
+
+export function pairSummary(pair, timeframe) {
+  if (!pair) return null;
+  const tx = pair.txns || {};
+  return {
+    id: pair.baseToken?.address,
+    chainId: (pair.chainId || "").toLowerCase(),
+    name: pair.baseToken?.name || "?",
+    symbol: pair.baseToken?.symbol || "?",
+    icon: pair.info?.imageUrl || "",
+    priceChg: num(pair.priceChange?.[timeframe]),
+    vol: num(pair.volume?.[timeframe]),
+    txnH1: num(tx.h1?.buys) + num(tx.h1?.sells),
+    liquidity: num(pair.liquidity?.usd),
+    priceUsd: num(pair.priceUsd),
+    mc: num(pair.fdv ?? pair.marketCap),
+  };
+}
+
+export function timeframeStats(pair) {
+  return TIMEFRAMES.map(tf => ({
+    tf,
+    chg: num(pair?.priceChange?.[tf]),
+    vol: num(pair?.volume?.[tf]),
+    buys: num(pair?.txns?.[tf]?.buys),
+    sells: num(pair?.txns?.[tf]?.sells),
+  }));
+}
+
+export function pairAge(pair, now = Date.now()) {
+  return pair?.pairCreatedAt ? Math.max(0, now - pair.pairCreatedAt) : null;
+}
+
+export function formatAge(ms) {
+  if (ms == null) return "—";
+  const min = Math.floor(ms / 60e3);
+  if (min < 60) return t("age.minutes", { min });
+  const h = Math.floor(min / 60);
+  if (h < 24) return t("age.hours", { h, min: min % 60 });
+  const d = Math.floor(h / 24);
+  return d < 30 ? t("age.days", { d, h: h % 24 }) : t("age.daysOnly", { d });
+}
+
+const LINK_TYPES = ["website", "twitter", "telegram", "discord"];
+
+// [{ label, url, type }] : site(s) puis réseaux, profil prioritaire
+export function tokenLinks(profile, pairs = []) {
+  const out = [];
+  const seen = new Set();
+  const add = (type, label, url) => {
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    out.push({ type, url, label: label || (LINK_TYPES.includes(type) ? t(`links.${type}`) : type.charAt(0).toUpperCase() + type.slice(1)) });
+  };
+  for (const l of profile?.links || []) add(l.type || "website", l.label, l.url);
+  for (const p of pairs) {
+    for (const w of p.info?.websites || []) add("website", w.label, w.url);
+    for (const s of p.info?.socials || []) add(s.type || "link", s.label, s.url);
+  }
+  return out.sort((a, b) => (a.type === "website" ? 0 : 1) - (b.type === "website" ? 0 : 1));
+}
+
+// [{ ts, value, estimated }] : prix(t) = prix / (1 + variation), sur la fenêtre de chaque timeframe
+export function priceSeries(pair, history = [], now = Date.now()) {
+  const price = num(pair?.priceUsd);
+  const since = now - TF_MS.h24;
+  const points = history.filter(d => d.ts >= since && d.value > 0).map(d => ({ ...d, estimated: false }));
+  if (price > 0) {
+    for (const tf of TIMEFRAMES) {
+      const chg = pair?.priceChange?.[tf];
+      if (chg == null || !isFinite(+chg) || +chg <= -100) continue;
+      points.push({ ts: now - TF_MS[tf], value: price / (1 + chg / 100), estimated: true });
+    }
+    points.push({ ts: now, value: price, estimated: false });
+  }
+  return points.sort((a, b) => a.ts - b.ts);
+}
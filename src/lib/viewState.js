@@ -0,0 +1,178 @@
+/**
+ * État de vue partageable (query string) + presets nommés
+ * - Vue : visualisation, chaîne, timeframe, minLiq, masquer risqués, limit, query, profil/poids/normalisations du score, zoom, regroupement
+ * - URL : seules les valeurs ≠ défaut sont écrites (v, ch, tf, liq, safe, n, q, p, w, nm, z, g) ; les autres params
+ *   (provider, fixture, record…) sont conservés
+ * - Presets : { name, view } en localStorage, import/export JSON
+ * - Token ouvert dans la vue détail : ?ca=<chaîne>:<adresse> (hors vue / presets)
+ */
+import { BUILTIN_PROFILES, DEFAULT_PROFILE, FACTOR_KEYS, NORMALIZERS, completeProfile } from "./scoring.js";
+import { readJSON, writeJSON } from "./storage.js";
+import { DEFAULT_CHAIN } from "./chains.js";
+import { GROUP_MODES } from "./grouping.js";
+import { t } from "./i18n.js";
+
+export const TIMEFRAMES = ["m5", "h1", "h6", "h24"];
+export const VIZ_MODES = ["bubble", "treemap", "scatter", "table"];
+
+export const VIEW_DEFAULTS = {
+  viz: "bubble",
+  chain: DEFAULT_CHAIN,
+  timeframe: "h1",
+  minLiq: 10000,
+  hideRisky: false,
+  limit: 20,
+  query: "",
+  profile: DEFAULT_PROFILE,
+  ...completeProfile(BUILTIN_PROFILES[DEFAULT_PROFILE]),
+  zoom: { k: 1, x: 0, y: 0 },
+  groupBy: "none",
+};
+
+const VIEW_PARAMS = ["v", "ch", "tf", "liq", "safe", "n", "q", "p", "w", "nm", "z", "g"];
+
+const clampLimit = (n) => Math.max(5, Math.min(300, Math.round(n) || VIEW_DEFAULTS.limit));
+const round = (v, d = 2) => +(+v).toFixed(d);
+
+// "price:0.5,volume:0.3" ↔ { price: 0.5, volume: 0.3 }
+function encodeMap(map, defaults) {
+  return Object.keys(map)
+    .filter(k => map[k] !== defaults[k])
+    .map(k => `${k}:${map[k]}`)
+    .join(",");
+}
+function decodeMap(str, parse) {
+  const out = {};
+  for (const part of (str || "").split(",")) {
+    const [k, v] = part.split(":");
+    if (!FACTOR_KEYS.includes(k) || v == null) continue;
+    const val = parse(v);
+    if (val != null) out[k] = val;
+  }
+  return out;
+}
+
+// Valide / complète une vue partielle (URL, preset importé…)
+export function sanitizeView(view = {}) {
+  const v = { ...VIEW_DEFAULTS };
+  if (VIZ_MODES.includes(view.viz)) v.viz = view.viz;
+  if (typeof view.chain === "string" && /^[a-z0-9-]+$/.test(view.chain)) v.chain = view.chain;
+  if (TIMEFRAMES.includes(view.timeframe)) v.timeframe = view.timeframe;
+  if (isFinite(view.minLiq) && view.minLiq >= 0) v.minLiq = +view.minLiq;
+  if (typeof view.hideRisky === "boolean") v.hideRisky = view.hideRisky;
+  if (view.limit != null) v.limit = clampLimit(+view.limit);
+  if (typeof view.query === "string") v.query = view.query;
+  if (typeof view.profile === "string" && view.profile) v.profile = view.profile;
+  const prof = completeProfile({ weights: view.weights, norms: view.norms });
+  v.weights = prof.weights;
+  v.norms = prof.norms;
+  if (view.zoom && [view.zoom.k, view.zoom.x, view.zoom.y].every(isFinite)) {
+    v.zoom = { k: Math.max(0.5, Math.min(6, +view.zoom.k)), x: +view.zoom.x, y: +view.zoom.y };
+  }
+  if (GROUP_MODES.includes(view.groupBy)) v.groupBy = view.groupBy;
+  return v;
+}
+
+export function decodeView(search) {
+  const params = new URLSearchParams(search);
+  const view = {};
+  if (params.has("v")) view.viz = params.get("v");
+  if (params.has("ch")) view.chain = params.get("ch").toLowerCase();
+  if (params.has("tf")) view.timeframe = params.get("tf");
+  if (params.has("liq")) view.minLiq = +params.get("liq");
+  if (params.has("safe")) view.hideRisky = params.get("safe") !== "0";
+  if (params.has("n")) view.limit = +params.get("n");
+  if (params.has("q")) view.query = params.get("q");
+  if (params.has("p")) view.profile = params.get("p");
+  // Poids / normalisations : relatifs au profil indiqué (ou au profil par défaut)
+  const base = completeProfile(BUILTIN_PROFILES[view.profile] || BUILTIN_PROFILES[DEFAULT_PROFILE]);
+  view.weights = { ...base.weights, ...decodeMap(params.get("w"), v => (isFinite(+v) ? Math.max(0, Math.min(1, +v)) : null)) };
+  view.norms = { ...base.norms, ...decodeMap(params.get("nm"), v => (NORMALIZERS[v] ? v : null)) };
+  if (params.has("z")) {
+    const [k, x, y] = params.get("z").split(",").map(Number);
+    view.zoom = { k, x, y };
+  }
+  if (params.has("g")) view.groupBy = params.get("g");
+  return sanitizeView(view);
+}
+
+export function encodeView(view, search = "") {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach(k => params.delete(k));
+  const d = VIEW_DEFAULTS;
+  if (view.viz !== d.viz) params.set("v", view.viz);
+  if (view.chain !== d.chain) params.set("ch", view.chain);
+  if (view.timeframe !== d.timeframe) params.set("tf", view.timeframe);
+  if (view.minLiq !== d.minLiq) params.set("liq", view.minLiq);
+  if (view.hideRisky) params.set("safe", "1");
+  if (view.limit !== d.limit) params.set("n", view.limit);
+  if (view.query) params.set("q", view.query);
+  if (view.profile !== d.profile) params.set("p", view.profile);
+  const base = completeProfile(BUILTIN_PROFILES[view.profile] || BUILTIN_PROFILES[DEFAULT_PROFILE]);
+  const w = encodeMap(view.weights, base.weights);
+  if (w) params.set("w", w);
+  const nm = encodeMap(view.norms, base.norms);
+  if (nm) params.set("nm", nm);
+  const z = view.zoom;
+  if (z && (z.k !== 1 || z.x || z.y)) params.set("z", [round(z.k, 3), round(z.x, 1), round(z.y, 1)].join(","));
+  if (view.groupBy && view.groupBy !== d.groupBy) params.set("g", view.groupBy);
+  return params.toString();
+}
+
+function replaceSearch(qs) {
+  const next = `${window.location.pathname}${qs ? "?" + qs : ""}${window.location.hash}`;
+  if (next !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, "", next);
+  }
+}
+
+export function writeViewToUrl(view) {
+  replaceSearch(encodeView(view, window.location.search));
+}
+
+// ------------------ Token ouvert (?ca=<chaîne>:<adresse>, chaîne optionnelle) ------------------
+export function decodeToken(search) {
+  const raw = new URLSearchParams(search).get("ca");
+  if (!raw) return null;
+  const i = raw.indexOf(":");
+  if (i < 0) return { id: raw, chainId: DEFAULT_CHAIN };
+  return { id: raw.slice(i + 1), chainId: raw.slice(0, i).toLowerCase() || DEFAULT_CHAIN };
+}
+
+export function encodeToken(token, search = "") {
+  const params = new URLSearchParams(search);
+  params.delete("ca");
+  if (token?.id) params.set("ca", `${token.chainId || DEFAULT_CHAIN}:${token.id}`);
+  return params.toString();
+}
+
+export function writeTokenToUrl(token) {
+  replaceSearch(encodeToken(token, window.location.search));
+}
+
+// ------------------ Presets ------------------
+export function loadPresets() {
+  const list = readJSON("presets", []);
+  return Array.isArray(list) ? list.filter(p => p && typeof p.name === "string").map(p => ({ name: p.name, view: sanitizeView(p.view) })) : [];
+}
+
+export function savePresets(presets) {
+  writeJSON("presets", presets);
+}
+
+export function upsertPreset(presets, name, view) {
+  const entry = { name, view: sanitizeView(view) };
+  const i = presets.findIndex(p => p.name === name);
+  return i < 0 ? [...presets, entry] : presets.map((p, j) => (j === i ? entry : p));
+}
+
+export function exportPresets(presets) {
+  return { type: "trenchboard.presets", version: 1, presets };
+}
+
+// Accepte un export complet, une liste de presets ou un preset seul
+export function parsePresetImport(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : data?.name ? [data] : null;
+  if (!list) throw new Error(t("errors.presetsInvalid"));
+  return list.filter(p => p && typeof p.name === "string" && p.name.trim()).map(p => ({ name: p.name.trim(), view: sanitizeView(p.view) }));
+}
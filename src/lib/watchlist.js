@@ -0,0 +1,23 @@
+/**
+ * Watchlist (CA épinglés, localStorage)
+ * - Entrées { ca, chainId } ; les anciennes entrées (CA seul) sont considérées Solana
+ * - Toujours chargés par load(), même hors boosts ; passent outre minLiq / filtre / nombre de tokens
+ */
+import { readJSON, writeJSON } from "./storage.js";
+
+export function loadWatchlist() {
+  const list = readJSON("watchlist", []);
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(e => (typeof e === "string" ? { ca: e, chainId: "solana" } : e))
+    .filter(e => e && typeof e.ca === "string")
+    .map(e => ({ ca: e.ca, chainId: e.chainId || "solana" }));
+}
+
+export function saveWatchlist(list) {
+  writeJSON("watchlist", list);
+}
+
+export function toggleIn(list, ca, chainId = "solana") {
+  return list.some(e => e.ca === ca) ? list.filter(e => e.ca !== ca) : [...list, { ca, chainId }];
+}
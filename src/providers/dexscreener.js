@@ -0,0 +1,51 @@
+/**
+ * Provider DexScreener (API publique, en direct)
+ * - boosts : /token-boosts/top/v1
+ * - paires : /tokens/v1/<chain>/<ca,ca,...> par lots de 30, une série de lots par chaîne
+ * - profils : /token-profiles/latest/v1
+ * - détail d'un token : /tokens/v1/<chain>/<ca> (toutes ses paires)
+ * - { signal } optionnel sur chaque appel (refresh annulé par le suivant) ; retries : voir http.js
+ * - fetchPairs({ report }) : lots en échec comptés dans report (tokens concernés dans report.failedTokens)
+ */
+import { getJSON } from "./http.js";
+import { bestPairsByToken, filterChain, groupByChain, pairsForToken, profilesByToken } from "./normalize.js";
+
+export const DEXSCREENER_API = "https://api.dexscreener.com";
+
+export function createDexScreenerProvider({ baseUrl = DEXSCREENER_API, chunkSize = 30 } = {}) {
+  async function fetchBoosts(chain, { signal } = {}) {
+    const data = await getJSON(`${baseUrl}/token-boosts/top/v1`, { signal });
+    return filterChain(data, chain);
+  }
+
+  // tokens : [{ chainId, address }]
+  async function fetchPairs(tokens, { signal, report = {} } = {}) {
+    const batches = [];
+    const chunks = [];
+    for (const [chain, addresses] of Object.entries(groupByChain(tokens))) {
+      for (let i = 0; i < addresses.length; i += chunkSize) {
+        const chunk = addresses.slice(i, i + chunkSize);
+        chunks.push(chunk.map(address => ({ chainId: chain, address })));
+        batches.push(getJSON(`${baseUrl}/tokens/v1/${chain}/${chunk.join(",")}`, { signal }));
+      }
+    }
+    const settled = await Promise.allSettled(batches);
+    signal?.throwIfAborted();
+    const failed = settled.map((s, i) => (s.status === "rejected" ? i : -1)).filter(i => i >= 0);
+    report.total = settled.length;
+    report.failed = failed.length;
+    report.failedTokens = failed.flatMap(i => chunks[i]);
+    if (failed.length) report.error = settled[failed[0]].reason?.message;
+    return bestPairsByToken(settled.flatMap(s => (s.status === "fulfilled" ? s.value : [])));
+  }
+
+  async function fetchProfiles(chain, { signal } = {}) {
+    return profilesByToken(await getJSON(`${baseUrl}/token-profiles/latest/v1`, { signal }), chain);
+  }
+
+  async function fetchTokenPairs(chainId, address) {
+    return pairsForToken(await getJSON(`${baseUrl}/tokens/v1/${chainId}/${address}`), chainId, address);
+  }
+
+  return { id: "dexscreener", label: "DexScreener", fetchBoosts, fetchPairs, fetchProfiles, fetchTokenPairs };
+}
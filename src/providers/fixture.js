@@ -0,0 +1,80 @@
+/**
+ * Provider fixture / replay (hors-ligne)
+ * - Sert des snapshots JSON enregistrés (public/fixtures/<nom>.json)
+ * - Format : { recordedAt, boosts: [], pairs: [], profiles: [] } (réponses brutes DexScreener)
+ *   ou { frames: [snapshot, snapshot, ...] } : chaque load() passe à la frame suivante (replay en boucle)
+ * - snapshotFromBoard() produit ce format à partir de l'état courant du board (pour reproduire un bug)
+ */
+import { bestPairsByToken, filterChain, pairsForToken, profilesByToken } from "./normalize.js";
+import { downloadJSON } from "../lib/download.js";
+import { t } from "../lib/i18n.js";
+
+export const FIXTURE_BASE = "/fixtures";
+
+export function createFixtureProvider({ name = "sample", baseUrl = FIXTURE_BASE, data = null } = {}) {
+  let fixture = data;
+  let frame = -1;
+
+  async function loadFixture(signal) {
+    if (fixture) return fixture;
+    const r = await fetch(`${baseUrl}/${name}.json`, { signal });
+    if (!r.ok) throw new Error(t("errors.fixtureNotFound", { name, status: r.status }));
+    fixture = await r.json();
+    return fixture;
+  }
+
+  function frames(f) {
+    return Array.isArray(f?.frames) && f.frames.length ? f.frames : [f || {}];
+  }
+
+  function current() {
+    const all = frames(fixture);
+    return all[Math.max(0, frame) % all.length];
+  }
+
+  // Début d'un cycle de chargement : on avance d'une frame
+  async function fetchBoosts(chain, { signal } = {}) {
+    await loadFixture(signal);
+    frame += 1;
+    return filterChain(current().boosts, chain);
+  }
+
+  async function fetchPairs(tokens, { signal } = {}) {
+    await loadFixture(signal);
+    signal?.throwIfAborted();
+    const wanted = new Set(tokens.map(t => `${(t.chainId || "solana").toLowerCase()}:${t.address}`));
+    return bestPairsByToken((current().pairs || []).filter(p => wanted.has(`${(p.chainId || "").toLowerCase()}:${p.baseToken?.address}`)));
+  }
+
+  async function fetchProfiles(chain, { signal } = {}) {
+    await loadFixture(signal);
+    signal?.throwIfAborted();
+    return profilesByToken(current().profiles, chain);
+  }
+
+  async function fetchTokenPairs(chainId, address) {
+    await loadFixture();
+    return pairsForToken(current().pairs, chainId, address);
+  }
+
+  function info() {
+    const all = frames(fixture);
+    const snap = current();
+    return { name, frame: (Math.max(0, frame) % all.length) + 1, frames: all.length, recordedAt: snap?.recordedAt || null };
+  }
+
+  return { id: "fixture", label: `fixture:${name}`, fetchBoosts, fetchPairs, fetchProfiles, fetchTokenPairs, info };
+}
+
+export function snapshotFromBoard({ boosts = [], pairs = {}, profiles = {} }) {
+  return {
+    recordedAt: new Date().toISOString(),
+    boosts,
+    pairs: Object.values(pairs),
+    profiles: Object.values(profiles),
+  };
+}
+
+export function downloadFixture(snapshot, filename) {
+  downloadJSON(snapshot, filename || `trenchboard-${snapshot.recordedAt.replace(/[:.]/g, "-")}.json`);
+}
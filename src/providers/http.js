@@ -0,0 +1,59 @@
+/**
+ * Requêtes JSON des providers, avec retries
+ * - Réessaie les erreurs réseau, 5xx et 429 (pas les autres 4xx), `retries` fois au plus
+ * - Délai : backoff exponentiel avec jitter ; sur 429, Retry-After s'il est fourni (plafonné à MAX_RETRY_AFTER_MS)
+ * - Annulable : le signal interrompt aussi l'attente entre deux essais
+ * - Réponse d'erreur du proxy ({ code }) : message traduit errors.proxy.<code> plutôt que le statut HTTP
+ */
+import { t } from "../lib/i18n.js";
+
+export const MAX_RETRY_AFTER_MS = 15e3;
+
+const PROXY_CODES = ["rateLimit", "upstream", "pairsUnavailable", "missingAddress", "invalidChain", "invalidToken"];
+
+export class HttpError extends Error {
+  constructor(status, statusText, retryAfter = null, code = null) {
+    super(PROXY_CODES.includes(code) ? t(`errors.proxy.${code}`, { status })
+      : status === 429 ? t("errors.rateLimit") : `${status} ${statusText}`);
+    this.status = status;
+    this.retryAfter = retryAfter; // ms
+    this.code = code;
+  }
+}
+
+const retryable = (e) => !(e instanceof HttpError) || e.status === 429 || e.status >= 500;
+
+// attempt : 0, 1, 2… → ms
+export function retryDelay(attempt, error, base = 500) {
+  if (error?.retryAfter != null) return Math.min(MAX_RETRY_AFTER_MS, error.retryAfter);
+  const exp = base * 2 ** attempt * (error?.status === 429 ? 4 : 1);
+  return exp / 2 + Math.random() * exp; // jitter : [0.5, 1.5] × exp
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => { clearTimeout(t); reject(signal.reason); }, { once: true });
+  });
+}
+
+async function once(url, signal) {
+  const r = await fetch(url, { signal });
+  if (!r.ok) {
+    const after = +r.headers.get("retry-after");
+    const body = await r.json().catch(() => null); // proxy : { error, code }
+    throw new HttpError(r.status, r.statusText, after > 0 ? after * 1000 : null, body?.code ?? null);
+  }
+  return r.json();
+}
+
+export async function getJSON(url, { signal, retries = 2 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await once(url, signal);
+    } catch (e) {
+      if (signal?.aborted || attempt >= retries || !retryable(e)) throw e;
+      await sleep(retryDelay(attempt, e), signal);
+    }
+  }
+}
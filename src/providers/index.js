@@ -0,0 +1,60 @@
+/**
+ * Sélection du provider de données
+ * - Config : VITE_DATA_PROVIDER=dexscreener|proxy|fixture, VITE_FIXTURE=<nom>
+ *   Par défaut : proxy (/api, Netlify Function avec cache) en production, dexscreener en direct en dev
+ * - Flag URL (prioritaire) : ?provider=fixture&fixture=sample, ou simplement ?fixture=sample
+ * - Flag URL ?record : affiche le bouton d'enregistrement de snapshot
+ * - fetchBoard : un seul appel si le provider sait servir le board entier (proxy), sinon boosts → paires → profils
+ *   + status par endpoint ({ ok, error, total, failed… }) ; profils en échec → null (le board garde les précédents)
+ */
+import { createDexScreenerProvider } from "./dexscreener.js";
+import { createFixtureProvider } from "./fixture.js";
+import { createProxyProvider } from "./proxy.js";
+import { sampleTokens } from "./normalize.js";
+
+const env = import.meta.env || {};
+
+export const PROVIDERS = {
+  dexscreener: () => createDexScreenerProvider(),
+  proxy: () => createProxyProvider(),
+  fixture: ({ fixture }) => createFixtureProvider({ name: fixture }),
+};
+
+export function resolveProviderConfig(search = typeof window !== "undefined" ? window.location.search : "") {
+  const params = new URLSearchParams(search);
+  const fixture = params.get("fixture") || env.VITE_FIXTURE || "sample";
+  let provider = params.get("provider") || (params.has("fixture") ? "fixture" : env.VITE_DATA_PROVIDER) || (env.PROD ? "proxy" : "dexscreener");
+  if (!PROVIDERS[provider]) {
+    console.warn(`Provider inconnu "${provider}", retour à dexscreener`);
+    provider = "dexscreener";
+  }
+  return { provider, fixture, record: params.has("record") || !!env.DEV };
+}
+
+export function createProvider(config = resolveProviderConfig()) {
+  return PROVIDERS[config.provider](config);
+}
+
+// → { boosts, pairs: { addr: pair }, profiles: { addr: profile } | null, status } ; extra : [{ chainId, address }]
+// Boosts en échec : rejette (rien à afficher de neuf)
+export async function fetchBoard(provider, { chain, sample, extra = [], signal }) {
+  if (provider.fetchBoard) return provider.fetchBoard({ chain, sample, extra, signal });
+  const boosts = await provider.fetchBoosts(chain, { signal });
+  const report = { total: 1, failed: 0 };
+  const pairs = await provider.fetchPairs(sampleTokens(boosts, sample, extra), { signal, report });
+  let profiles = null;
+  let profilesStatus = { ok: true };
+  try {
+    profiles = await provider.fetchProfiles(chain, { signal });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    profilesStatus = { ok: false, error: e.message };
+  }
+  signal?.throwIfAborted();
+  return {
+    boosts,
+    pairs,
+    profiles,
+    status: { boosts: { ok: true }, pairs: { ok: !report.failed, ...report }, profiles: profilesStatus },
+  };
+}
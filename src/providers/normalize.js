@@ -0,0 +1,74 @@
+/**
+ * Normalisation commune aux providers
+ * - Filtre par chaîne ("all" = toutes), garde la paire la plus liquide par token, indexe les profils
+ * - Vue détail : toutes les paires d'un token, triées par liquidité
+ * - sampleTokens : sélection des tokens d'un board (partagée avec le proxy netlify/functions/board.js)
+ * - isValidToken : chaîne connue + adresse base58 / 0x-hex (paramètres acceptés par le proxy)
+ * - Les providers renvoient toujours les mêmes formes : boosts[], { addr: pair }, { addr: profile }
+ */
+
+// Ids de CHAINS (src/lib/chains.js), repris ici : ce module est aussi chargé côté serveur, sans i18n
+export const CHAIN_IDS = ["solana", "base", "ethereum", "bsc", "arbitrum", "polygon", "avalanche"];
+const ADDRESS_RE = /^(?:[1-9A-HJ-NP-Za-km-z]{32,44}|0x[0-9a-fA-F]{40})$/;
+
+export function isValidToken({ chainId, address }) {
+  return CHAIN_IDS.includes(chainId) && ADDRESS_RE.test(address || "");
+}
+
+export function onChain(item, chainId = "solana") {
+  return chainId === "all" || (item?.chainId || "").toLowerCase() === chainId;
+}
+
+// [{ chainId, address }] → { chainId: [address, ...] } (une requête de paires par chaîne)
+export function groupByChain(tokens) {
+  const groups = {};
+  for (const t of tokens || []) {
+    const chain = (t.chainId || "solana").toLowerCase();
+    (groups[chain] = groups[chain] || []).push(t.address);
+  }
+  return groups;
+}
+
+export function filterChain(list, chainId = "solana") {
+  return (Array.isArray(list) ? list : []).filter(d => onChain(d, chainId));
+}
+
+// Une seule paire par token : celle avec la plus grosse liquidité
+export function bestPairsByToken(pairs) {
+  const map = {};
+  for (const p of pairs || []) {
+    const base = p.baseToken?.address;
+    if (!base) continue;
+    const liq = +((p.liquidity || {}).usd || 0);
+    const prev = map[base]?.liquidity?.usd || 0;
+    if (!map[base] || liq > prev) map[base] = p;
+  }
+  return map;
+}
+
+export function profilesByToken(arr, chainId = "solana") {
+  const map = {};
+  for (const p of arr || []) {
+    if (!onChain(p, chainId)) continue;
+    map[p.tokenAddress] = p;
+  }
+  return map;
+}
+
+// Toutes les paires d'un token (base = address), de la plus liquide à la moins liquide
+export function pairsForToken(pairs, chainId, address) {
+  return (pairs || [])
+    .filter(p => p.baseToken?.address === address && onChain(p, (chainId || "solana").toLowerCase()))
+    .sort((a, b) => (+(b.liquidity?.usd || 0)) - (+(a.liquidity?.usd || 0)));
+}
+
+// Tokens à charger pour un board : les `sample` premiers boostés (uniques) + extra (watchlist), [{ chainId, address }]
+export function sampleTokens(boosts, sample, extra = []) {
+  const tokens = new Map(); // "chain:ca" → { chainId, address }
+  for (const b of boosts || []) {
+    if (tokens.size >= sample) break;
+    tokens.set(`${b.chainId}:${b.tokenAddress}`, { chainId: b.chainId, address: b.tokenAddress });
+  }
+  for (const t of extra) tokens.set(`${t.chainId}:${t.address}`, { chainId: t.chainId, address: t.address });
+  return [...tokens.values()];
+}
@@ -0,0 +1,41 @@
+/**
+ * Provider proxy (Netlify Function /api, voir netlify/functions/board.js)
+ * - fetchBoard : boosts + paires + profils en une requête, déjà mis en cache côté serveur
+ * - détail d'un token : /api/token?chain=&address=
+ * - Mêmes formes que les autres providers (normalisation côté client) ; status construit depuis data.meta
+ *   (tokens des lots de paires en échec : meta.batches.failedTokens)
+ */
+import { getJSON } from "./http.js";
+import { bestPairsByToken, isValidToken, pairsForToken, profilesByToken } from "./normalize.js";
+
+export const PROXY_API = "/api";
+
+export function createProxyProvider({ baseUrl = PROXY_API } = {}) {
+  // extra : [{ chainId, address }] (watchlist, hors échantillon) ; le proxy refuse les tokens hors CHAINS (400)
+  async function fetchBoard({ chain, sample, extra = [], signal }) {
+    const params = new URLSearchParams({ chain, sample: String(sample) });
+    const valid = extra.filter(isValidToken);
+    if (valid.length) params.set("extra", valid.map(t => `${t.chainId}:${t.address}`).join(","));
+    const data = await getJSON(`${baseUrl}/board?${params}`, { signal });
+    const meta = data.meta || {};
+    const batches = meta.batches || { total: 0, failed: 0 };
+    return {
+      boosts: data.boosts || [],
+      pairs: bestPairsByToken(data.pairs || []),
+      profiles: meta.profiles === false ? null : profilesByToken(data.profiles || [], chain),
+      status: {
+        boosts: { ok: true, stale: !!meta.stale },
+        pairs: { ok: !batches.failed, ...batches },
+        profiles: { ok: meta.profiles !== false },
+      },
+    };
+  }
+
+  async function fetchTokenPairs(chainId, address) {
+    const params = new URLSearchParams({ chain: chainId || "solana", address });
+    const data = await getJSON(`${baseUrl}/token?${params}`);
+    return pairsForToken(data.pairs || [], chainId, address);
+  }
+
+  return { id: "proxy", label: "Proxy", fetchBoard, fetchTokenPairs };
+}
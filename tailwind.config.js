@@ -1,6 +1,25 @@
 /** @type {import('tailwindcss').Config} */
+// Couleurs du thème courant (variables posées par src/lib/theme.js) ; "white" / "black" suivent le texte / l'ombre du thème
+const themed = (name) => `rgb(var(--tb-${name}) / <alpha-value>)`;
+
 export default {
   content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
-  theme: { extend: {} },
+  theme: {
+    extend: {
+      colors: {
+        white: themed("fg"),
+        black: themed("shade"),
+        page: themed("page"),
+        panel: themed("panel"),
+        surface: themed("surface"),
+        raised: themed("raised"),
+        accent: themed("accent"),
+        accent2: themed("accent2"),
+        warn: themed("warn"),
+        danger: themed("danger"),
+        gold: themed("gold"),
+      },
+    },
+  },
   plugins: [],
-};
\ No newline at end of file
+};
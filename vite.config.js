@@ -1,3 +1,7 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
-export default defineConfig({ plugins: [react()] });
\ No newline at end of file
+// /api → proxy local (npm run proxy:local / proxy:mock), utilisé par ?provider=proxy en dev
+export default defineConfig({
+  plugins: [react()],
+  server: { proxy: { "/api": `http://localhost:${process.env.PROXY_PORT || 8888}` } },
+});